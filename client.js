@@ -0,0 +1,94 @@
+/*
+ * YI Mirrorless Firmware Tools
+ * Author: Mario Guggenberger <mg@protyposis.net>
+ * Licensed under the GPLv3
+ */
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const {URL} = require('url');
+const {RequestError} = require('./errors');
+
+/*
+ * A client for the HTTP server of the camera, which is reachable at a fixed IP in the Wi-Fi of the camera. The base
+ * URL can be changed, e.g. to test against a local mock server.
+ */
+const DEFAULT_BASE_URL = 'http://192.168.0.10';
+const DEFAULT_TIMEOUT = 10000;
+
+/**
+ * Creates a client that sends commands to the camera.
+ * @param options.baseUrl the URL of the camera (default: http://192.168.0.10)
+ * @param options.timeout the timeout of a request in milliseconds (default: 10000)
+ * @returns {{baseUrl: string, sendCommand: function}}
+ */
+function createClient(options) {
+    const baseUrl = (options && options.baseUrl) || DEFAULT_BASE_URL;
+    const timeout = (options && options.timeout) || DEFAULT_TIMEOUT;
+
+    try {
+        new URL(baseUrl);
+    } catch (error) {
+        throw new RequestError(`invalid base URL ${baseUrl}`, 'ERR_INVALID_URL');
+    }
+
+    /**
+     * Sends a command, e.g. GET /?data={"command":"GetCameraStatus"}.
+     * @param command the command name
+     * @param parameters additional properties of the data object
+     * @returns {Promise<{statusCode: number, body: string, data: Object|undefined}>} the response, with the parsed
+     * body if it is JSON
+     */
+    const sendCommand = (command, parameters) => new Promise((resolve, reject) => {
+        const url = new URL(baseUrl);
+        url.searchParams.set('data', JSON.stringify(Object.assign({command: command}, parameters)));
+
+        const request = (url.protocol === 'https:' ? https : http).get(url.toString(), response => {
+            const chunks = [];
+
+            response.on('data', chunk => chunks.push(chunk));
+            // The response fails if the connection is closed, e.g. by the timeout, while the body is received
+            response.on('aborted', () => {
+                reject(new RequestError(`${command} failed: the response was aborted`, 'ERR_REQUEST_FAILED'));
+            });
+            response.on('error', error => {
+                reject(new RequestError(`${command} failed: ${error.message}`, 'ERR_REQUEST_FAILED'));
+            });
+            response.on('end', () => {
+                const body = Buffer.concat(chunks).toString('utf8');
+
+                if (response.statusCode !== 200) {
+                    reject(new RequestError(`${command} failed with HTTP status ${response.statusCode}`,
+                        'ERR_REQUEST_FAILED'));
+                    return;
+                }
+
+                let data;
+                try {
+                    data = JSON.parse(body);
+                } catch (error) {
+                    data = undefined;
+                }
+
+                resolve({statusCode: response.statusCode, body: body, data: data});
+            });
+        });
+
+        request.setTimeout(timeout, () => {
+            request.destroy();
+            reject(new RequestError(`${command} timed out after ${timeout} ms`, 'ERR_REQUEST_FAILED'));
+        });
+        request.on('error', error => {
+            reject(new RequestError(`${command} failed: ${error.message}`, 'ERR_REQUEST_FAILED'));
+        });
+    });
+
+    return {
+        baseUrl: baseUrl,
+        sendCommand: sendCommand,
+    };
+}
+
+exports.DEFAULT_BASE_URL = DEFAULT_BASE_URL;
+exports.createClient = createClient;
@@ -0,0 +1,89 @@
+/*
+ * YI Mirrorless Firmware Tools
+ * Author: Mario Guggenberger <mg@protyposis.net>
+ * Licensed under the GPLv3
+ */
+'use strict';
+
+const S = require('string');
+const {extractStrings} = require('./strings');
+
+const DIFF_RANGE_MERGE_DISTANCE = 16;
+const HEXDUMP_LINE_LENGTH = 16;
+
+/**
+ * Compares two buffers byte by byte. Changed ranges that are separated by only a few unchanged bytes are merged, and
+ * the bytes that only exist in the longer buffer form a range of their own.
+ * @param a
+ * @param b
+ * @returns {Array} the changed ranges with start and end (exclusive)
+ */
+function findChangedRanges(a, b) {
+    const ranges = [];
+    const commonLength = Math.min(a.length, b.length);
+    let range = null;
+
+    for (let i = 0; i < commonLength; i++) {
+        if (a[i] === b[i]) {
+            continue;
+        }
+
+        if (range !== null && i - range.end <= DIFF_RANGE_MERGE_DISTANCE) {
+            range.end = i + 1;
+        } else {
+            range = {start: i, end: i + 1};
+            ranges.push(range);
+        }
+    }
+
+    if (a.length !== b.length) {
+        ranges.push({start: commonLength, end: Math.max(a.length, b.length)});
+    }
+
+    return ranges;
+}
+
+/**
+ * Compares the printable strings of two buffers, regardless of their positions.
+ * @param a
+ * @param b
+ * @returns {{removed: Array, added: Array}} the texts that only exist in a, and those that only exist in b
+ */
+function diffStrings(a, b) {
+    const stringsA = new Set(extractStrings(a).map(string => string.text));
+    const stringsB = new Set(extractStrings(b).map(string => string.text));
+
+    return {
+        removed: Array.from(stringsA).filter(text => !stringsB.has(text)),
+        added: Array.from(stringsB).filter(text => !stringsA.has(text)),
+    };
+}
+
+/**
+ * Formats a part of a buffer as hexdump with an offset column and an ASCII column.
+ * @param buffer
+ * @param start
+ * @param end
+ * @returns {Array} the lines
+ */
+function hexdump(buffer, start, end) {
+    const lines = [];
+    start = Math.max(0, start - start % HEXDUMP_LINE_LENGTH);
+    end = Math.min(buffer.length, end);
+
+    for (let lineStart = start; lineStart < end; lineStart += HEXDUMP_LINE_LENGTH) {
+        const line = buffer.slice(lineStart, Math.min(lineStart + HEXDUMP_LINE_LENGTH, end));
+        const hex = Array.from(line).map(byte => S(byte.toString(16)).padLeft(2, '0').s).join(' ');
+        const ascii = Array.from(line).map(byte => byte >= 0x20 && byte <= 0x7E ? String.fromCharCode(byte) : '.')
+            .join('');
+
+        const offset = S(lineStart.toString(16)).padLeft(8, '0').s;
+        lines.push(`${offset}  ${S(hex).padRight(HEXDUMP_LINE_LENGTH * 3).s} ${ascii}`);
+    }
+
+    return lines;
+}
+
+exports.findChangedRanges = findChangedRanges;
+exports.diffStrings = diffStrings;
+exports.hexdump = hexdump;
@@ -0,0 +1,180 @@
+/*
+ * YI Mirrorless Firmware Tools
+ * Author: Mario Guggenberger <mg@protyposis.net>
+ * Licensed under the GPLv3
+ */
+'use strict';
+
+const {ElfError} = require('./errors');
+
+/*
+ * A minimal writer of 32-bit little endian ARM ELF executables: one loadable segment and section per part of the
+ * firmware, and a symbol table. Disassemblers like Ghidra or objdump load the parts at their addresses.
+ */
+const ELF_HEADER_LENGTH = 52;
+const ELF_PROGRAM_HEADER_LENGTH = 32;
+const ELF_SECTION_HEADER_LENGTH = 40;
+const ELF_SYMBOL_LENGTH = 16;
+
+const ET_EXEC = 2;
+const EM_ARM = 40;
+const EF_ARM_EABI_VER5 = 0x05000000;
+const PT_LOAD = 1;
+const PF_X = 1;
+const PF_R = 4;
+const SHT_PROGBITS = 1;
+const SHT_SYMTAB = 2;
+const SHT_STRTAB = 3;
+const SHF_ALLOC = 2;
+const SHF_EXECINSTR = 4;
+const STB_GLOBAL = 1;
+const STT_OBJECT = 1;
+const STT_FUNC = 2;
+
+/**
+ * A string table, which starts with an empty string.
+ */
+class StringTable {
+    constructor() {
+        this.buffers = [Buffer.alloc(1)];
+        this.length = 1;
+        this.offsets = {};
+    }
+
+    add(text) {
+        if (this.offsets[text] === undefined) {
+            const buffer = Buffer.from(text + '\0', 'utf8');
+            this.offsets[text] = this.length;
+            this.buffers.push(buffer);
+            this.length += buffer.length;
+        }
+        return this.offsets[text];
+    }
+
+    toBuffer() {
+        return Buffer.concat(this.buffers);
+    }
+}
+
+const align = (value, alignment) => value + (alignment - value % alignment) % alignment;
+
+/**
+ * Writes an ELF file.
+ * @param segments the parts with name, address, data and executable flag
+ * @param symbols the symbols with name, address, size and function flag; every symbol must lie within a segment
+ * @returns {Buffer}
+ */
+function writeElf(segments, symbols) {
+    if (segments.length === 0) {
+        throw new ElfError(`an ELF file needs at least one segment`);
+    }
+
+    const sectionNames = new StringTable();
+    const symbolNames = new StringTable();
+
+    // Layout: header, program headers, segment data, symbol table, string tables, section headers
+    let position = ELF_HEADER_LENGTH + segments.length * ELF_PROGRAM_HEADER_LENGTH;
+    const segmentPositions = segments.map(segment => {
+        position = align(position, 4);
+        const segmentPosition = position;
+        position += segment.data.length;
+        return segmentPosition;
+    });
+
+    const symbolTable = Buffer.alloc((symbols.length + 1) * ELF_SYMBOL_LENGTH);
+    symbols.forEach((symbol, index) => {
+        const segmentIndex = segments.findIndex(segment => symbol.address >= segment.address
+            && symbol.address < segment.address + segment.data.length);
+
+        if (segmentIndex === -1) {
+            throw new ElfError(`symbol ${symbol.name} at ${symbol.address} is outside of all segments`);
+        }
+
+        const entry = (index + 1) * ELF_SYMBOL_LENGTH;
+        symbolTable.writeUInt32LE(symbolNames.add(symbol.name), entry);
+        symbolTable.writeUInt32LE(symbol.address, entry + 4);
+        symbolTable.writeUInt32LE(symbol.size || 0, entry + 8);
+        symbolTable.writeUInt8((STB_GLOBAL << 4) | (symbol.function ? STT_FUNC : STT_OBJECT), entry + 12);
+        // Section 0 is the null section, the sections of the segments follow
+        symbolTable.writeUInt16LE(segmentIndex + 1, entry + 14);
+    });
+
+    const segmentSectionNames = segments.map(segment => sectionNames.add(`.${segment.name}`));
+    const symbolTableName = sectionNames.add('.symtab');
+    const stringTableName = sectionNames.add('.strtab');
+    const sectionNameTableName = sectionNames.add('.shstrtab');
+
+    const symbolNameData = symbolNames.toBuffer();
+    const sectionNameData = sectionNames.toBuffer();
+
+    position = align(position, 4);
+    const symbolTablePosition = position;
+    position += symbolTable.length;
+    const stringTablePosition = position;
+    position += symbolNameData.length;
+    const sectionNameTablePosition = position;
+    position += sectionNameData.length;
+    position = align(position, 4);
+    const sectionHeadersPosition = position;
+
+    // null section, segment sections, .symtab, .strtab, .shstrtab
+    const sectionCount = segments.length + 4;
+    const symbolTableIndex = segments.length + 1;
+    const buffer = Buffer.alloc(sectionHeadersPosition + sectionCount * ELF_SECTION_HEADER_LENGTH);
+
+    // ELF header
+    buffer.write('\x7fELF', 0, 'latin1');
+    buffer.writeUInt8(1, 4); // 32 bit
+    buffer.writeUInt8(1, 5); // little endian
+    buffer.writeUInt8(1, 6); // version
+    buffer.writeUInt16LE(ET_EXEC, 16);
+    buffer.writeUInt16LE(EM_ARM, 18);
+    buffer.writeUInt32LE(1, 20);
+    buffer.writeUInt32LE(segments[0].address, 24); // entry
+    buffer.writeUInt32LE(ELF_HEADER_LENGTH, 28);
+    buffer.writeUInt32LE(sectionHeadersPosition, 32);
+    buffer.writeUInt32LE(EF_ARM_EABI_VER5, 36);
+    buffer.writeUInt16LE(ELF_HEADER_LENGTH, 40);
+    buffer.writeUInt16LE(ELF_PROGRAM_HEADER_LENGTH, 42);
+    buffer.writeUInt16LE(segments.length, 44);
+    buffer.writeUInt16LE(ELF_SECTION_HEADER_LENGTH, 46);
+    buffer.writeUInt16LE(sectionCount, 48);
+    buffer.writeUInt16LE(sectionCount - 1, 50);
+
+    const writeSectionHeader = (index, fields) => {
+        const header = sectionHeadersPosition + index * ELF_SECTION_HEADER_LENGTH;
+        fields.forEach((value, fieldIndex) => buffer.writeUInt32LE(value, header + fieldIndex * 4));
+    };
+
+    segments.forEach((segment, index) => {
+        const programHeader = ELF_HEADER_LENGTH + index * ELF_PROGRAM_HEADER_LENGTH;
+        const flags = PF_R | (segment.executable ? PF_X : 0);
+
+        [PT_LOAD, segmentPositions[index], segment.address, segment.address, segment.data.length,
+            segment.data.length, flags, 1].forEach((value, fieldIndex) => {
+            buffer.writeUInt32LE(value, programHeader + fieldIndex * 4);
+        });
+        segment.data.copy(buffer, segmentPositions[index]);
+
+        // name, type, flags, address, offset, size, link, info, alignment, entry size
+        writeSectionHeader(index + 1, [segmentSectionNames[index], SHT_PROGBITS,
+            SHF_ALLOC | (segment.executable ? SHF_EXECINSTR : 0), segment.address, segmentPositions[index],
+            segment.data.length, 0, 0, 1, 0]);
+    });
+
+    symbolTable.copy(buffer, symbolTablePosition);
+    symbolNameData.copy(buffer, stringTablePosition);
+    sectionNameData.copy(buffer, sectionNameTablePosition);
+
+    // The info of the symbol table is the index of the first global symbol
+    writeSectionHeader(symbolTableIndex, [symbolTableName, SHT_SYMTAB, 0, 0, symbolTablePosition, symbolTable.length,
+        symbolTableIndex + 1, 1, 4, ELF_SYMBOL_LENGTH]);
+    writeSectionHeader(symbolTableIndex + 1, [stringTableName, SHT_STRTAB, 0, 0, stringTablePosition,
+        symbolNameData.length, 0, 0, 1, 0]);
+    writeSectionHeader(symbolTableIndex + 2, [sectionNameTableName, SHT_STRTAB, 0, 0, sectionNameTablePosition,
+        sectionNameData.length, 0, 0, 1, 0]);
+
+    return buffer;
+}
+
+exports.writeElf = writeElf;
@@ -0,0 +1,194 @@
+/*
+ * YI Mirrorless Firmware Tools
+ * Author: Mario Guggenberger <mg@protyposis.net>
+ * Licensed under the GPLv3
+ */
+'use strict';
+
+/**
+ * Base class of all errors thrown by the firmware tools. The code property identifies the type of error.
+ */
+class FirmwareError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+    }
+}
+
+/**
+ * A section header cannot be parsed or serialized.
+ */
+class HeaderError extends FirmwareError {
+    constructor(message) {
+        super(message, 'ERR_INVALID_HEADER');
+    }
+}
+
+/**
+ * A section is shorter than announced by its header.
+ */
+class IncompleteSectionError extends FirmwareError {
+    constructor(expectedLength, actualLength) {
+        super(`Incomplete section read: ${actualLength} < ${expectedLength}`, 'ERR_INCOMPLETE_SECTION');
+        this.expectedLength = expectedLength;
+        this.actualLength = actualLength;
+    }
+}
+
+/**
+ * The checksum of a section does not match the SUM of its header.
+ */
+class ChecksumError extends FirmwareError {
+    constructor(expectedSum, actualSum) {
+        super(`Checksum test failed: ${actualSum} != ${expectedSum}`, 'ERR_CHECKSUM_MISMATCH');
+        this.expectedSum = expectedSum;
+        this.actualSum = actualSum;
+    }
+}
+
+/**
+ * The firmware version is not known.
+ */
+class UnknownVersionError extends FirmwareError {
+    constructor(message) {
+        super(message, 'ERR_UNKNOWN_VERSION');
+    }
+}
+
+/**
+ * The region of a firmware cannot be determined or changed.
+ */
+class RegionError extends FirmwareError {
+    constructor(message) {
+        super(message, 'ERR_INVALID_REGION');
+    }
+}
+
+/**
+ * The metadata of an unpacked firmware is missing or invalid.
+ */
+class MetadataError extends FirmwareError {
+    constructor(message) {
+        super(message, 'ERR_INVALID_METADATA');
+    }
+}
+
+/**
+ * Generated firmware data failed its verification.
+ */
+class VerificationError extends FirmwareError {
+    constructor(problems) {
+        super(`Verification failed: ${problems.join('; ')}`, 'ERR_VERIFICATION_FAILED');
+        this.problems = problems;
+    }
+}
+
+/**
+ * A partition table cannot be encoded.
+ */
+class PartitionTableError extends FirmwareError {
+    constructor(message) {
+        super(message, 'ERR_INVALID_PARTITION_TABLE');
+    }
+}
+
+/**
+ * A string cannot be written into a string table.
+ */
+class StringTableError extends FirmwareError {
+    constructor(message) {
+        super(message, 'ERR_INVALID_STRING');
+    }
+}
+
+/**
+ * A patch file is invalid or does not match the firmware.
+ */
+class PatchError extends FirmwareError {
+    constructor(message, code) {
+        super(message, code || 'ERR_INVALID_PATCH');
+    }
+}
+
+/**
+ * A manifest to create a firmware file from is invalid.
+ */
+class ManifestError extends FirmwareError {
+    constructor(message) {
+        super(message, 'ERR_INVALID_MANIFEST');
+    }
+}
+
+/**
+ * A request to the HTTP server of the camera failed.
+ */
+class RequestError extends FirmwareError {
+    constructor(message, code) {
+        super(message, code || 'ERR_REQUEST_FAILED');
+    }
+}
+
+/**
+ * The memory layout of a firmware is invalid.
+ */
+class LayoutError extends FirmwareError {
+    constructor(message) {
+        super(message, 'ERR_INVALID_LAYOUT');
+    }
+}
+
+/**
+ * An ELF file cannot be written.
+ */
+class ElfError extends FirmwareError {
+    constructor(message) {
+        super(message, 'ERR_INVALID_ELF');
+    }
+}
+
+/**
+ * The firmware database is invalid or cannot be updated.
+ */
+class DatabaseError extends FirmwareError {
+    constructor(message) {
+        super(message, 'ERR_INVALID_DATABASE');
+    }
+}
+
+/**
+ * A subsection cannot be traced.
+ */
+class TraceError extends FirmwareError {
+    constructor(message, code) {
+        super(message, code || 'ERR_INVALID_TRACE');
+    }
+}
+
+/**
+ * Data cannot be compressed or decompressed.
+ */
+class CompressionError extends FirmwareError {
+    constructor(message, code) {
+        super(message, code || 'ERR_COMPRESSION');
+    }
+}
+
+exports.FirmwareError = FirmwareError;
+exports.HeaderError = HeaderError;
+exports.IncompleteSectionError = IncompleteSectionError;
+exports.ChecksumError = ChecksumError;
+exports.UnknownVersionError = UnknownVersionError;
+exports.RegionError = RegionError;
+exports.MetadataError = MetadataError;
+exports.VerificationError = VerificationError;
+exports.PartitionTableError = PartitionTableError;
+exports.StringTableError = StringTableError;
+exports.PatchError = PatchError;
+exports.ManifestError = ManifestError;
+exports.RequestError = RequestError;
+exports.LayoutError = LayoutError;
+exports.ElfError = ElfError;
+exports.DatabaseError = DatabaseError;
+exports.TraceError = TraceError;
+exports.CompressionError = CompressionError;
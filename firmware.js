@@ -5,15 +5,53 @@
  */
 'use strict';
 
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const S = require('string');
-const {versions} = require('./versions');
+const {versions, models, images, loadDatabase, saveImage} = require('./versions');
 const lzss = require('./lzss');
+const workers = require('./workers');
+const ptbl = require('./ptbl');
+const nd1 = require('./nd1');
+const patchFiles = require('./patch');
+const metadataFiles = require('./metadata');
+const manifests = require('./manifest');
+const {SectionHeader} = require('./header');
+const layout = require('./layout');
+const diffs = require('./diff');
+const traces = require('./trace');
+const {extractStrings} = require('./strings');
+const wifi = require('./wifi');
+const elf = require('./elf');
+const errors = require('./errors');
+const {getLogger} = require('./logger');
 
 const FW_SECTION_HEADER_LENGTH = 0x100;
 const FW_SUBSECTION_BLOCK_SIZE = 2048;
+const FW_UNCOMPRESSED_SUBSECTION_LENGTH = 0x1000;
+const FW_UNCOMPRESSED_SUBSECTION_COUNT = 2;
 const METADATA_FILE_EXTENSION = `.unpack`;
+const PARTITION_TABLE_FILE_EXTENSION = `.json`;
+const STRING_TABLE_FILE_INFIX = `.strings.`;
+const STRING_TABLE_FORMATS = ['json', 'po'];
+const IDENTIFICATION_EXACT = 'exact';
+const IDENTIFICATION_MODIFIED = 'modified';
+const IDENTIFICATION_UNVERIFIED = 'unverified';
+const IDENTIFICATION_UNKNOWN = 'unknown';
+const DIFF_MAX_PRINTED_RANGES = 50;
+const DIFF_MAX_PRINTED_STRINGS = 20;
+const DIFF_MAX_HEXDUMP_LENGTH = 256;
+const FW_IPL_SECTION_ID = 'IPL';
+const ELF_SYMBOL_MIN_STRING_LENGTH = 6;
+const ELF_SYMBOL_MAX_NAME_LENGTH = 40;
+const ELF_AUTO_ADDRESS_ALIGNMENT = 0x100000;
+const ELF_FILE_EXTENSION = '.elf';
+const MEMMAP_IMAGE_FILE_EXTENSION = '.memmap.bin';
+const MEMMAP_LAYOUT_FILE_EXTENSION = '.memmap.json';
+const TRACE_FILE_INFIX = '.trace.';
+const TRACE_SIDE_BY_SIDE_FILE_INFIX = '.trace.side-by-side.';
+const TRACE_DEFAULT_CONTEXT = 16;
 
 function parseHeader(headerString) {
     let parsedHeader = {
@@ -85,27 +123,128 @@ function parseHeader(headerString) {
 }
 
 function identifyVersion(header) {
+    const model = models.find(model => model.deviceId === header.deviceId);
     const deviceIdVersions = versions.filter(version => version[0] === header.deviceId);
 
+    if (!model) {
+        throw new errors.UnknownVersionError(`unknown deviceId ${header.deviceId}`);
+    }
     if (deviceIdVersions.length === 0) {
-        throw `unknown deviceId ${header.deviceId}`;
+        throw new errors.UnknownVersionError(`no known versions of the ${model.name} (${header.deviceId})`);
     }
 
     const deviceVersions = deviceIdVersions.filter(version => version[1] === header.deviceVersion);
 
     if (deviceVersions.length === 0) {
-        throw `unknown device version ${header.deviceVersion}`;
+        throw new errors.UnknownVersionError(`unknown device version ${header.deviceVersion}`);
     }
 
     const dvrVersions = deviceVersions.filter(version => version[2] === header.dvr);
 
     if (dvrVersions.length === 0) {
-        throw `unknown dvr version ${header.dvr}`;
+        throw new errors.UnknownVersionError(`unknown dvr version ${header.dvr}`);
     }
 
     return dvrVersions[0];
 }
 
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Finds the firmware image in the database by the header of section 0.
+ * @param header the parsed header
+ * @returns {Object|null}
+ */
+function findImage(header) {
+    return images.find(image => image.deviceId === header.deviceId
+        && image.deviceVersion === header.deviceVersion && image.dvr === header.dvr) || null;
+}
+
+/**
+ * Identifies a firmware file by the hashes in the firmware database:
+ *  - exact: the file is a known image
+ *  - modified: the headers match a known image, but the listed sections differ from it
+ *  - unverified: the headers match a known version, but the database has no hashes to compare the sections with
+ *  - unknown: the version is not known (model is set if at least the device is known)
+ * @param buffer firmware file data
+ * @returns {{status: string, model: Object|null, image: Object|null, sha256: string, sections: Array,
+ * modifiedSections: Array}}
+ */
+function identifyImage(buffer) {
+    const fileHash = sha256(buffer);
+    const identification = {
+        status: IDENTIFICATION_UNKNOWN,
+        model: null,
+        image: null,
+        sha256: fileHash,
+        sections: [],
+        modifiedSections: [],
+    };
+    let header = null;
+
+    parseSections(buffer, (sectionNumber, rawHeader, parsedHeader, version, data) => {
+        if (sectionNumber === 0) {
+            header = parsedHeader;
+        }
+        identification.sections.push({
+            number: sectionNumber,
+            id: parsedHeader.sectionId || null,
+            sha256: sha256(data),
+        });
+    }, {verifyChecksums: false});
+
+    const exactImage = images.find(image => image.sha256 === fileHash);
+    if (exactImage) {
+        identification.status = IDENTIFICATION_EXACT;
+        identification.image = exactImage;
+    } else if (header) {
+        identification.image = findImage(header);
+    }
+
+    if (header) {
+        identification.model = models.find(model => model.deviceId === header.deviceId) || null;
+    }
+
+    if (identification.image && identification.status !== IDENTIFICATION_EXACT) {
+        const knownSections = identification.image.sections || [];
+
+        if (knownSections.length === 0) {
+            identification.status = IDENTIFICATION_UNVERIFIED;
+        } else {
+            identification.status = IDENTIFICATION_MODIFIED;
+            identification.modifiedSections = identification.sections
+                .filter(section => {
+                    const knownSection = knownSections.find(known => known.number === section.number);
+                    return !knownSection || knownSection.sha256 !== section.sha256;
+                })
+                .map(section => section.number);
+        }
+    }
+
+    return identification;
+}
+
+/**
+ * Describes the result of identifyImage in a sentence.
+ * @param identification
+ * @returns {string}
+ */
+function describeIdentification(identification) {
+    const image = identification.image;
+    const imageName = image ? `${image.name} (${image.deviceId} ${image.deviceVersion} ${image.dvr})` : '';
+
+    switch (identification.status) {
+        case IDENTIFICATION_EXACT:
+            return `exact known image ${imageName}`;
+        case IDENTIFICATION_MODIFIED:
+            return `known version ${imageName} with modified sections ${identification.modifiedSections.join(', ')}`;
+        case IDENTIFICATION_UNVERIFIED:
+            return `known version ${imageName}, no hashes to verify the sections against`;
+        default:
+            return identification.model ? `unknown version of the ${identification.model.name}` : 'unknown';
+    }
+}
+
 function calculateChecksum(buffer) {
     let sum = 0;
 
@@ -116,39 +255,62 @@ function calculateChecksum(buffer) {
     return sum;
 }
 
-function readSections(fileName, sectionReadCallback) {
-    const fd = fs.openSync(fileName, 'r');
-    const headerBuffer = Buffer.alloc(FW_SECTION_HEADER_LENGTH);
+/**
+ * Counts the spaces before the first header.
+ * (This is necessary for the Fujifilm X-A10 which has two leading space characters)
+ * @param buffer firmware file data
+ * @returns {number}
+ */
+function countLeadingSpaces(buffer) {
+    let count = 0;
+
+    while (count < Math.min(buffer.length, FW_SECTION_HEADER_LENGTH) && buffer.readUInt8(count) === 0x20) {
+        count++;
+    }
+
+    return count;
+}
+
+/**
+ * Parses the sections of a firmware file and calls the callback for every section.
+ * @param buffer firmware file data
+ * @param sectionReadCallback called with the section number, raw header, parsed header, FW version info, body data
+ * and file position of the header
+ * @param options.verifyChecksums throw on checksum mismatches (default: true)
+ * @param options.logger
+ */
+function parseSections(buffer, sectionReadCallback, options) {
+    const logger = getLogger(options);
+    const verifyChecksums = !options || options.verifyChecksums !== false;
 
-    let readPosition = 0;
+    // Skip leading spaces until the first header starts
+    let readPosition = countLeadingSpaces(buffer);
     let sectionCount = 0;
     let version = null;
 
-    // Skip leading spaces until the first header starts
-    // (This is necessary for the Fujifilm X-A10 which has two leading space characters)
-    fs.readSync(fd, headerBuffer, 0, headerBuffer.length, readPosition);
-    while (headerBuffer.readUInt8(readPosition) === 0x20) {
-        readPosition++;
-    }
-
     while (true) {
-        // Read section header
-        let bytesRead = fs.readSync(fd, headerBuffer, 0, headerBuffer.length, readPosition);
-        readPosition += bytesRead;
-
-        // Check for EOF if no more header was read
-        if (bytesRead === 0) {
-            console.log('EOF');
+        // Check for EOF if no more header can be read
+        if (readPosition >= buffer.length) {
+            logger.debug('EOF');
             return;
         }
 
-        console.log(`----- Section ${sectionCount} -----`);
+        // Read section header
+        const headerPosition = readPosition;
+        const headerBuffer = buffer.slice(readPosition, readPosition + FW_SECTION_HEADER_LENGTH);
+        readPosition += headerBuffer.length;
+
+        logger.debug(`----- Section ${sectionCount} -----`);
 
         // Parse section header
         const headerString = headerBuffer.toString('ascii').trim();
-        console.log(`Raw header string: ${headerString}`);
+        logger.debug(`Raw header string: ${headerString}`);
         const header = parseHeader(headerString);
-        console.log(`Parsed header:`, header);
+        logger.debug(`Parsed header:`, header);
+
+        if (header.sectionLength === undefined || isNaN(header.sectionLength)) {
+            throw new errors.HeaderError(`Section ${sectionCount} header has no LENGTH: ${headerString}`);
+        }
 
         // Identify the firmware version after the first section head is parsed
         if (sectionCount === 0) {
@@ -159,7 +321,7 @@ function readSections(fileName, sectionReadCallback) {
                     '# Firmware version identified: $$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$ #\n' +
                     '#####################################################################';
                 const placeholder = '$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$';
-                console.info(info.replace(placeholder, S(version[3]).padRight(placeholder.length).s));
+                logger.info(info.replace(placeholder, S(version[3]).padRight(placeholder.length).s));
             } catch (error) {
                 const warning =
                     '# WARNING ###########################################################\n' +
@@ -168,47 +330,69 @@ function readSections(fileName, sectionReadCallback) {
                     '# https://github.com/protyposis/yi-mirrorless-firmware-tools/issues #\n' +
                     '#####################################################################';
                 const placeholder = '$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$$';
-                console.warn(warning.replace(placeholder, S(error).padRight(placeholder.length).s));
+                logger.warn(warning.replace(placeholder, S(error.message).padRight(placeholder.length).s));
             }
         }
 
         // Read section body
-        const sectionBuffer = Buffer.alloc(header.sectionLength);
-        bytesRead = fs.readSync(fd, sectionBuffer, 0, sectionBuffer.length, readPosition);
-        readPosition += bytesRead;
+        const sectionBuffer = buffer.slice(readPosition, readPosition + header.sectionLength);
+        readPosition += sectionBuffer.length;
 
         // Check read for completeness
-        if (bytesRead < sectionBuffer.length) {
-            throw `Incomplete section read: ${bytesRead} < ${sectionBuffer.length}`;
+        if (sectionBuffer.length < header.sectionLength) {
+            throw new errors.IncompleteSectionError(header.sectionLength, sectionBuffer.length);
         } else {
-            console.log(`Section read ok (${bytesRead} bytes)`);
+            logger.debug(`Section read ok (${sectionBuffer.length} bytes)`);
         }
 
         // Calculate and test checksum
         const sum = calculateChecksum(sectionBuffer);
 
         if (sum !== header.sectionSum) {
-            throw `Checksum test failed: ${sum} != ${header.sectionSum}`;
+            if (verifyChecksums) {
+                throw new errors.ChecksumError(header.sectionSum, sum);
+            }
+            logger.warn(`Checksum test failed: ${sum} != ${header.sectionSum}`);
         }
         else {
-            console.log(`Checksum test ok (${sum})`);
+            logger.debug(`Checksum test ok (${sum})`);
         }
 
-        // section number, raw header, parsed header, FW version info, body data
-        sectionReadCallback(sectionCount, headerString, header, version, sectionBuffer);
+        // section number, raw header, parsed header, FW version info, body data, header position
+        sectionReadCallback(sectionCount, headerString, header, version, sectionBuffer, headerPosition);
 
         sectionCount++;
     }
 }
 
-function unpack(fileName, targetDirectory) {
+/**
+ * Reads the sections of a firmware file and calls the callback for every section, see parseSections.
+ * @param fileName
+ * @param sectionReadCallback
+ * @param options
+ */
+function readSections(fileName, sectionReadCallback, options) {
+    parseSections(fs.readFileSync(fileName), sectionReadCallback, options);
+}
+
+function unpack(fileName, targetDirectory, options) {
+    if (options === undefined) {
+        options = {};
+    }
+
+    const logger = getLogger(options);
+    const encoding = options.encoding || lzss.ENCODING_LEGACY;
+    const buffer = fs.readFileSync(fileName);
     const metadata = {
-        version: 0,
+        version: metadataFiles.METADATA_VERSION,
         filename: path.basename(fileName),
+        encoding: encoding,
+        leadingSpaces: countLeadingSpaces(buffer),
         sections: [],
     };
+    const pendingSections = [];
 
-    readSections(fileName, (sectionNumber, rawHeader, parsedHeader, version, data) => {
+    parseSections(buffer, (sectionNumber, rawHeader, parsedHeader, version, data) => {
         // Write section to file
         const sectionFileName = path.basename(fileName)
             + `.${sectionNumber}`
@@ -216,12 +400,12 @@ function unpack(fileName, targetDirectory) {
 
         const outputSectionFileName = path.join(targetDirectory, sectionFileName);
         fs.writeFileSync(outputSectionFileName, data);
-        console.log(`Output file: ${sectionFileName}`);
+        logger.log(`Output file: ${sectionFileName}`);
 
         const subsectionData = [];
         // Split first section into subsections
         if (sectionNumber === 0 && version) {
-            unpackSection(data, (index, start, sectionData, processedSectionData, compressed) => {
+            pendingSections.push(unpackSection(data, (index, start, sectionData, processedSectionData, compressed) => {
                 const targetFileName = path.basename(outputSectionFileName) + '.' + S(start).padLeft(8, '0');
                 const targetFileNameDecompressed = targetFileName + '.decompressed';
                 const targetFileNameFull = path.join(targetDirectory, targetFileName);
@@ -235,40 +419,125 @@ function unpack(fileName, targetDirectory) {
                     fs.writeFileSync(targetFileNameFull, sectionData);
                 }
 
-                console.log(`Output: ${targetFileNameFull}`);
+                logger.log(`Output: ${targetFileNameFull}`);
 
                 subsectionData.push({
                     filename: targetFileName,
+                    sha256: sha256(sectionData),
                     compressed: compressed,
                     filenameDecompressed: compressed ? targetFileNameDecompressed : undefined,
+                    sha256Decompressed: compressed ? sha256(processedSectionData) : undefined,
                 })
-            });
+            }, {encoding: encoding, concurrency: options.concurrency, logger: options.logger}));
+        }
+
+        let partitionTable;
+        // Decode the partition table into an editable file
+        if (parsedHeader.sectionId === ptbl.PTBL_ID) {
+            const entries = ptbl.parsePartitionTable(data).entries;
+            const partitionTableFileName = sectionFileName + PARTITION_TABLE_FILE_EXTENSION;
+
+            logPartitionTable(entries, logger);
+            fs.writeFileSync(path.join(targetDirectory, partitionTableFileName), JSON.stringify(entries, null, 2));
+            logger.log(`Output file: ${partitionTableFileName}`);
+
+            partitionTable = {
+                filename: partitionTableFileName,
+                entries: entries,
+            };
         }
 
         metadata.sections.push({
             filename: sectionFileName,
+            sha256: sha256(data),
             rawHeader: rawHeader,
             parsedHeader: parsedHeader,
             subsections: subsectionData,
+            partitionTable: partitionTable,
         });
+    }, options);
+
+    // The subsections are added to the metadata of their section when they have been decompressed
+    return Promise.all(pendingSections).then(() => {
+        const sectionDataFileName = path.basename(fileName) + METADATA_FILE_EXTENSION;
+        const sectionDataFileNameFull = path.join(targetDirectory, sectionDataFileName);
+        fs.writeFileSync(sectionDataFileNameFull, JSON.stringify(metadata, null, 2));
+
+        logger.log(`Wrote metadata file: ${sectionDataFileName} (required for repacking!)`);
+        logger.log(`Unpacking finished!`);
+    });
+}
+
+const formatHex = (value) => `0x${S(value.toString(16).toUpperCase()).padLeft(8, '0').s}`;
+
+/**
+ * Prints the entries of a partition table.
+ * @param entries
+ * @param logger
+ */
+function logPartitionTable(entries, logger) {
+    if (entries.length === 0) {
+        logger.log(`Partition table: no entries decoded (unknown format)`);
+        return;
+    }
+
+    logger.log(`Partition table:`);
+    logger.log(`#    Name             Offset       Size         Flags`);
+    entries.forEach(entry => {
+        logger.log(`${S(entry.index).padRight(4).s} ${S(entry.name).padRight(16).s} `
+            + `${S(formatHex(entry.offset)).padRight(12).s} ${S(formatHex(entry.size)).padRight(12).s} `
+            + `${formatHex(entry.flags)}`);
     });
+}
+
+/**
+ * Determines the subsection breaks of section 0 from its structure: the first subsections are uncompressed and have a
+ * fixed length, each following subsection is a compressed stream that is padded to the subsection block size, so the
+ * next subsection starts at the first block after the end of the stream.
+ * @param data
+ * @returns {Array|null} the breaks, or null if the data does not have this structure
+ */
+function findSubsectionBreaks(data) {
+    const sectionBreaks = [];
+    let position = 0;
+
+    for (let i = 0; i < FW_UNCOMPRESSED_SUBSECTION_COUNT; i++) {
+        position += FW_UNCOMPRESSED_SUBSECTION_LENGTH;
+        sectionBreaks.push(position);
+    }
+
+    if (position >= data.length) {
+        return null;
+    }
+
+    while (true) {
+        let streamLength;
+        try {
+            streamLength = lzss.findStreamEnd(data.slice(position), {blockSize: FW_SUBSECTION_BLOCK_SIZE});
+        } catch (error) {
+            return null;
+        }
 
-    const sectionDataFileName = path.basename(fileName) + METADATA_FILE_EXTENSION;
-    const sectionDataFileNameFull = path.join(targetDirectory, sectionDataFileName);
-    fs.writeFileSync(sectionDataFileNameFull, JSON.stringify(metadata, null, 2));
+        position += streamLength;
+        position += (FW_SUBSECTION_BLOCK_SIZE - (position % FW_SUBSECTION_BLOCK_SIZE)) % FW_SUBSECTION_BLOCK_SIZE;
+
+        if (position >= data.length) {
+            // The padding of the last subsection ends with the section
+            return position === data.length ? sectionBreaks : null;
+        }
 
-    console.log(`Wrote metadata file: ${sectionDataFileName} (required for repacking!)`);
-    console.log(`Unpacking finished!`);
+        sectionBreaks.push(position);
+    }
 }
 
 /**
- * A section ends with a zero padding and a new section starts at a 2048-byte aligned index.
- * This only works if sections are padded with enough 0x00. If a sections fits better into the 2048 byte
- * alignment, this detection fails. Also, this does not tell us if a section is compressed.
+ * Guesses the subsection breaks of section 0: a section ends with a zero padding and a new section starts at a
+ * 2048-byte aligned index. This only works if sections are padded with enough 0x00. If a sections fits better into
+ * the 2048 byte alignment, this detection fails.
  * @param data
  * @returns {Array}
  */
-function detectSectionBreaks(data) {
+function guessSubsectionBreaks(data) {
     let bufferByteIndex = 0;
     let zeroCount = 0;
     const sectionBreaks = [];
@@ -279,8 +548,7 @@ function detectSectionBreaks(data) {
         if (byte === 0x00) {
             zeroCount++;
         } else {
-            if ((bufferByteIndex - 1) % 2048 === 0 && zeroCount > 16) {
-                console.log(`Section break detected at ${bufferByteIndex - 1}`);
+            if ((bufferByteIndex - 1) % FW_SUBSECTION_BLOCK_SIZE === 0 && zeroCount > 16) {
                 sectionBreaks.push(bufferByteIndex - 1);
             }
 
@@ -291,6 +559,39 @@ function detectSectionBreaks(data) {
     return sectionBreaks;
 }
 
+/**
+ * Detects the subsection breaks of section 0, see findSubsectionBreaks. Falls back to guessSubsectionBreaks with a
+ * warning if the section does not have the expected structure.
+ * @param data
+ * @param options.logger
+ * @returns {{breaks: Array, exact: boolean}}
+ */
+function detectSubsectionLayout(data, options) {
+    const logger = getLogger(options);
+    let sectionBreaks = findSubsectionBreaks(data);
+    const exact = sectionBreaks !== null;
+
+    if (!exact) {
+        logger.warn(`WARNING: The subsection boundaries cannot be determined from the compressed data, falling back to`
+            + ` guessing them from the zero padding. Subsections may be split or merged incorrectly!`);
+        sectionBreaks = guessSubsectionBreaks(data);
+    }
+
+    sectionBreaks.forEach(sectionBreak => logger.log(`Section break detected at ${sectionBreak}`));
+
+    return {breaks: sectionBreaks, exact: exact};
+}
+
+/**
+ * Detects the subsection breaks of section 0, see detectSubsectionLayout.
+ * @param data
+ * @param options.logger
+ * @returns {Array}
+ */
+function detectSectionBreaks(data, options) {
+    return detectSubsectionLayout(data, options).breaks;
+}
+
 function buildSectionDecompressionMetadata(sectionBreaks, sectionLength) {
     const sectionDecompressionMetadata = [];
 
@@ -303,7 +604,7 @@ function buildSectionDecompressionMetadata(sectionBreaks, sectionLength) {
         const sectionStart = positions[index - 1];
         const sectionEnd = positions[index];
         const sectionNumber = sectionDecompressionMetadata.length;
-        const compressed = sectionNumber > 1;
+        const compressed = sectionNumber >= FW_UNCOMPRESSED_SUBSECTION_COUNT;
 
         sectionDecompressionMetadata.push([sectionStart, sectionEnd, compressed]);
     });
@@ -311,18 +612,31 @@ function buildSectionDecompressionMetadata(sectionBreaks, sectionLength) {
     return sectionDecompressionMetadata;
 }
 
-function unpackSection(data, sectionDecompressedCallback, decompressOptions) {
-    const sectionBreaks = detectSectionBreaks(data);
+/**
+ * Splits section 0 into its subsections and decompresses the compressed ones one after another, see unpackSection
+ * for the parallel version.
+ * @param data section data
+ * @param sectionDecompressedCallback called with the subsection index, start offset, data, decompressed data and
+ * compressed flag for every subsection
+ * @param options.encoding
+ * @param options.traceCallback called with every token of the compressed subsections, see lzss.decompress
+ * @param options.logger
+ */
+function readSubsections(data, sectionDecompressedCallback, options) {
+    const logger = getLogger(options);
+    const sectionBreaks = detectSectionBreaks(data, options);
     const sectionDecompressionMetadata = buildSectionDecompressionMetadata(sectionBreaks, data.length);
 
     sectionDecompressionMetadata.forEach(([start, end, compressed], index) => {
         const sectionData = data.slice(start, end);
         let processedSectionData;
-        console.log(`Section ${index}: ${start}-${end}`);
+        logger.log(`Section ${index}: ${start}-${end}`);
 
         if (compressed) {
-            console.log(`Decompressing...`);
-            processedSectionData = lzss.decompress(sectionData, decompressOptions);
+            logger.log(`Decompressing...`);
+            const decompressionStartTime = Date.now();
+            processedSectionData = lzss.decompress(sectionData, options);
+            const decompressionTime = Date.now() - decompressionStartTime;
 
             const stats = {
                 inputSize: sectionData.length,
@@ -330,7 +644,7 @@ function unpackSection(data, sectionDecompressedCallback, decompressOptions) {
                 compressionRate: processedSectionData.length / sectionData.length,
             };
 
-            console.log(`Decompression finished (compression rate: ${stats.compressionRate})`);
+            logger.log(`Decompression finished in ${decompressionTime} ms (compression rate: ${stats.compressionRate})`);
         } else {
             processedSectionData = sectionData;
         }
@@ -339,9 +653,68 @@ function unpackSection(data, sectionDecompressedCallback, decompressOptions) {
     });
 }
 
+/**
+ * Splits section 0 into its subsections and decompresses the compressed ones in parallel on worker threads. The
+ * callback is called for every subsection in order once all of them are decompressed.
+ * @param data section data
+ * @param sectionDecompressedCallback called with the subsection index, start offset, data, decompressed data,
+ * compressed flag and the tokens of the decompression (if options.trace is set, see lzss.decompress) for every
+ * subsection
+ * @param options.encoding
+ * @param options.concurrency the maximum number of worker threads (default: the number of CPU cores)
+ * @param options.trace collect the tokens of the decompression
+ * @param options.logger
+ * @returns {Promise} resolved after the callback has been called for all subsections
+ */
+function unpackSection(data, sectionDecompressedCallback, options) {
+    const logger = getLogger(options);
+    const sectionBreaks = detectSectionBreaks(data, options);
+    const subsections = buildSectionDecompressionMetadata(sectionBreaks, data.length)
+        .map(([start, end, compressed], index) => {
+            logger.log(`Section ${index}: ${start}-${end}`);
+            return {index: index, start: start, data: data.slice(start, end), compressed: compressed};
+        });
+    const compressedSubsections = subsections.filter(subsection => subsection.compressed);
+
+    return workers.runJobs(compressedSubsections.map(subsection => ({
+        name: `subsection 0.${subsection.index}`,
+        operation: workers.OPERATION_DECOMPRESS,
+        data: subsection.data,
+        options: {encoding: options && options.encoding},
+        trace: options && options.trace,
+    })), options).then(results => {
+        subsections.forEach(subsection => {
+            const result = subsection.compressed ? results[compressedSubsections.indexOf(subsection)] : null;
+
+            sectionDecompressedCallback(subsection.index, subsection.start, subsection.data,
+                result ? result.data : subsection.data, subsection.compressed, result ? result.tokens : undefined);
+        });
+    });
+}
+
+/**
+ * Pads a subsection with zeros to the subsection block size.
+ * @param buffer
+ * @returns {Buffer}
+ */
+function padSubsection(buffer) {
+    const requiredPadding = (FW_SUBSECTION_BLOCK_SIZE - (buffer.length % FW_SUBSECTION_BLOCK_SIZE)) % FW_SUBSECTION_BLOCK_SIZE;
+    return Buffer.concat([buffer, Buffer.alloc(requiredPadding)]);
+}
+
+/**
+ * Serializes a header into its binary form, terminated by CR LF and padded with spaces to the header length.
+ * @param rawHeader the header string or a SectionHeader
+ * @returns {Buffer}
+ * @throws {HeaderError} if the header does not fit into the header length
+ */
 function prepareHeader(rawHeader) {
     // Append CR LF
-    rawHeader += '\r\n';
+    rawHeader = `${rawHeader}\r\n`;
+
+    if (rawHeader.length > FW_SECTION_HEADER_LENGTH) {
+        throw new errors.HeaderError(`Header exceeds ${FW_SECTION_HEADER_LENGTH} bytes: ${rawHeader.trim()}`);
+    }
 
     // Pad the header to the output header length
     rawHeader = S(rawHeader).padRight(FW_SECTION_HEADER_LENGTH).s;
@@ -350,199 +723,2295 @@ function prepareHeader(rawHeader) {
     return Buffer.from(rawHeader, 'ascii');
 }
 
-function flipRegion(fileName, targetDirectory) {
-    const INT = 'M1INT';
-    const CN = 'M1CN';
-
-    let sourceRegion, targetRegion;
+/**
+ * Changes the region of a firmware file with the region profile of its model from the firmware database. The region
+ * code is replaced in every section header, which must all have the same region before and after, and the output is
+ * parsed again before it is written.
+ * @param fileName
+ * @param targetDirectory
+ * @param options.region the name of the target region, required if the model has more than two regions
+ * @param options.logger
+ */
+function flipRegion(fileName, targetDirectory, options) {
+    if (options === undefined) {
+        options = {};
+    }
 
-    const outputBuffers = [];
+    const logger = getLogger(options);
+    const buffer = fs.readFileSync(fileName);
+    const sections = [];
 
     readSections(fileName, (sectionNumber, rawHeader, parsedHeader, version, data) => {
-        // Detect source/target regions in first section
-        if (!sourceRegion) {
-            if (S(rawHeader).contains(INT)) {
-                sourceRegion = INT;
-                targetRegion = CN;
-            } else if (S(rawHeader).contains(CN)) {
-                sourceRegion = CN;
-                targetRegion = INT;
-            } else {
-                throw `Invalid region`;
-            }
+        sections.push({rawHeader: rawHeader, parsedHeader: parsedHeader, data: data});
+    }, options);
+
+    const model = models.find(model => model.deviceId === sections[0].parsedHeader.deviceId);
+    if (!model || !model.regions) {
+        throw new errors.RegionError(`no region profile for device ${sections[0].parsedHeader.deviceId}`);
+    }
+
+    const regionTokens = (rawHeader) => SectionHeader.parse(rawHeader).getAll(model.regionHeaderKey);
+    const regionNames = Object.keys(model.regions);
+    const sourceRegion = regionNames.find(region => model.regions[region] === regionTokens(sections[0].rawHeader)[0]);
+
+    if (!sourceRegion) {
+        throw new errors.RegionError(`Invalid region ${regionTokens(sections[0].rawHeader)[0]}, known regions of the`
+            + ` ${model.name}: ${regionNames.map(region => `${region} (${model.regions[region]})`).join(', ')}`);
+    }
+
+    let targetRegion = options.region;
+    if (!targetRegion) {
+        if (regionNames.length !== 2) {
+            throw new errors.RegionError(`the ${model.name} has ${regionNames.length} regions, a target region is`
+                + ` required: ${regionNames.join(', ')}`);
+        }
+        targetRegion = regionNames.find(region => region !== sourceRegion);
+    }
+    if (!model.regions[targetRegion]) {
+        throw new errors.RegionError(`Invalid target region ${targetRegion}, known regions of the ${model.name}:`
+            + ` ${regionNames.join(', ')}`);
+    }
+    if (targetRegion === sourceRegion) {
+        throw new errors.RegionError(`firmware is already in region ${targetRegion}`);
+    }
+
+    const flipHeader = (rawHeader) => SectionHeader.parse(rawHeader)
+        .set(model.regionHeaderKey, model.regions[targetRegion])
+        .toString();
+
+    const modifiedRawHeaders = sections.map((section, sectionNumber) => {
+        const tokens = regionTokens(section.rawHeader);
+
+        if (tokens.length !== 1 || tokens[0] !== model.regions[sourceRegion]) {
+            throw new errors.RegionError(`section ${sectionNumber} header has region code(s) ${tokens.join(', ')},`
+                + ` expected ${model.regions[sourceRegion]}: ${section.rawHeader}`);
         }
 
-        // Flip CN <-> INT
-        let modifiedRawHeader = rawHeader.replace(sourceRegion, targetRegion);
+        return flipHeader(section.rawHeader);
+    });
+
+    const outputBuffers = [Buffer.alloc(countLeadingSpaces(buffer), ' ')];
+    sections.forEach((section, sectionNumber) => {
+        outputBuffers.push(prepareHeader(modifiedRawHeaders[sectionNumber]));
+        outputBuffers.push(section.data);
+    });
+    const outputBuffer = Buffer.concat(outputBuffers);
 
-        outputBuffers.push(prepareHeader(modifiedRawHeader));
-        outputBuffers.push(data);
+    // Re-verify the output: same sections, only the region changed in every header
+    const verifiedSections = [];
+    parseSections(outputBuffer, (sectionNumber, rawHeader, parsedHeader, version, data) => {
+        verifiedSections.push({rawHeader: rawHeader, parsedHeader: parsedHeader, data: data});
+    });
+    if (verifiedSections.length !== sections.length) {
+        throw new errors.RegionError(`verification failed, the output has ${verifiedSections.length} instead of`
+            + ` ${sections.length} sections`);
+    }
+    verifiedSections.forEach((section, sectionNumber) => {
+        const originalSection = sections[sectionNumber];
+        if (section.rawHeader !== flipHeader(originalSection.rawHeader) || !section.data.equals(originalSection.data)
+            || regionTokens(section.rawHeader)[0] !== model.regions[targetRegion]) {
+            throw new errors.RegionError(`verification failed, section ${sectionNumber} has not been changed`
+                + ` consistently`);
+        }
     });
 
     const targetFileBaseName = path.basename(fileName) + '.' + targetRegion;
     const targetFileName = path.join(targetDirectory, targetFileBaseName);
 
-    fs.writeFileSync(targetFileName, Buffer.concat(outputBuffers));
+    fs.writeFileSync(targetFileName, outputBuffer);
+
+    logger.info(`Flipped region from ${sourceRegion} to ${targetRegion} in ${sections.length} section headers`);
+    logger.info(`Modified firmware written to: ${targetFileName}`);
+    logger.info(`You can now rename the file '${targetFileBaseName}' to 'firmware.bin' and upload it to the camera`);
+}
+
+/**
+ * Tests if recompressing decompressed subsection data reproduces the compressed data bit-exactly.
+ * @param sectionData the compressed subsection including its padding
+ * @param recompressedData the recompressed subsection without padding
+ * @param logger
+ */
+function testBitExactness(sectionData, recompressedData, logger) {
+    logger.log(`Stats for compressed -> decompressed -> compressed:`);
+    recompressedData = padSubsection(recompressedData);
+
+    if (recompressedData.equals(sectionData)) {
+        logger.log(`bit-exact :)`);
+        return;
+    }
+
+    let firstDifference = 0;
+    while (firstDifference < Math.min(recompressedData.length, sectionData.length)
+    && recompressedData[firstDifference] === sectionData[firstDifference]) {
+        firstDifference++;
+    }
+
+    logger.log(`not bit-exact, first difference at ${firstDifference}`
+        + ` (lengths ${sectionData.length} -> ${recompressedData.length})`);
+}
+
+/**
+ * Returns the values of the lookup tokens of a trace, see lzss.decompress: compressed and decompressed position, index,
+ * length and window position.
+ */
+const getLookupValues = (tokens) => tokens
+    .filter(token => token.type === lzss.TOKEN_LOOKUP)
+    .map(token => [token.compressedPosition, token.decompressedPosition, token.index, token.length,
+        token.windowPosition]);
+
+/**
+ * Compares the lookups of the decompression of a subsection with the lookups of its recompression. No mismatches
+ * would mean that the compression yields exactly the same result as the compression of the original firmware file.
+ * The trace command shows where and how the token streams diverge.
+ * @param decompressionTokens the tokens of the decompression, see lzss.decompress
+ * @param compressionTokens the tokens of the compression
+ * @param logger
+ */
+function testLookups(decompressionTokens, compressionTokens, logger) {
+    const decompressionLookups = getLookupValues(decompressionTokens);
+    const compressionLookups = getLookupValues(compressionTokens);
+    let mismatchCount = 0;
+
+    for (let lookupIndex = 0; lookupIndex < compressionLookups.length; lookupIndex++) {
+        const l1 = decompressionLookups[lookupIndex];
+        const l2 = compressionLookups[lookupIndex];
+
+        const similar = l1 !== undefined && l1.every((u, i) => u === l2[i]);
+        if (!similar) {
+            if (mismatchCount < 50) {
+                logger.log(`lookup mismatch: ${l1} <-> ${l2}`);
+            } else if (mismatchCount === 50) {
+                logger.log(`too many mismatches, stopping logging`);
+            }
+            mismatchCount++;
+        }
+    }
 
-    console.info(`Flipped region from ${sourceRegion} to ${targetRegion}`);
-    console.info(`Modified firmware written to: ${targetFileName}`);
-    console.info(`You can now rename the file '${targetFileBaseName}' to 'firmware.bin' and upload it to the camera`);
+    if (mismatchCount > 0) {
+        logger.log(`${mismatchCount} mismatches`);
+    }
 }
 
-function test(fileName) {
+/**
+ * Tests the compression of the subsections of section 0: every compressed subsection is decompressed, recompressed
+ * and decompressed again, in parallel on worker threads.
+ * @param fileName
+ * @param options.encoding
+ * @param options.mode the compression mode, see lzss.compress
+ * @param options.concurrency the maximum number of worker threads (default: the number of CPU cores)
+ * @param options.logger
+ * @returns {Promise}
+ */
+function test(fileName, options) {
+    if (options === undefined) {
+        options = {};
+    }
+
+    const logger = getLogger(options);
+    const encoding = options.encoding || lzss.ENCODING_LEGACY;
+    const sections = [];
+
     readSections(fileName, (sectionNumber, rawHeader, parsedHeader, version, data) => {
-        console.log(`Section ${sectionNumber}`);
+        sections.push({number: sectionNumber, split: sectionNumber === 0 && !!version, data: data});
+    }, options);
+
+    return sections.reduce((promise, section) => promise.then(() => {
+        logger.log(`Section ${section.number}`);
 
         // Split first section into subsections
-        if (sectionNumber === 0 && version) {
-            let decompressionLookups = [];
+        if (!section.split) {
+            return;
+        }
 
-            unpackSection(data, (index, start, sectionData, processedSectionData, compressed) => {
-                console.log(`Section ${sectionNumber}.${index}`);
+        const subsections = [];
 
-                if (compressed) {
-                    const compressionLookups = [];
-                    let mismatchCount = 0;
-                    const recompressedData = lzss.compress(processedSectionData, {
-                        lookupCallback: lookupData => {
-                            compressionLookups.push(lookupData);
-
-                            const l1 = decompressionLookups[compressionLookups.length - 1];
-                            const l2 = compressionLookups[compressionLookups.length - 1];
-
-                            // Test of the lookups generated by the compression are the same as those encoded
-                            // in the compressed input data
-                            // No mismatches would mean that the compression yields exactly the same result as the
-                            // compression of the original firmware file
-                            // TODO find out why some lookups are different
-                            const similar = l1.every(function (u, i) {
-                                return u === l2[i];
-                            });
-                            if (!similar) {
-                                if (mismatchCount < 50) {
-                                    console.log(`lookup mismatch: ${l1} <-> ${l2}`);
-                                } else if (mismatchCount === 50) {
-                                    console.log(`too many mismatches, stopping logging`);
-                                }
-                                mismatchCount++;
-                            }
-                        }
-                    });
+        return unpackSection(section.data, (index, start, sectionData, processedSectionData, compressed, tokens) => {
+            subsections.push({
+                index: index,
+                data: sectionData,
+                decompressedData: processedSectionData,
+                compressed: compressed,
+                tokens: tokens,
+            });
+        }, {
+            encoding: encoding,
+            concurrency: options.concurrency,
+            trace: true,
+            logger: options.logger,
+        }).then(() => {
+            const compressedSubsections = subsections.filter(subsection => subsection.compressed);
+
+            return workers.runJobs(compressedSubsections.map(subsection => ({
+                name: `subsection ${section.number}.${subsection.index}`,
+                operation: workers.OPERATION_COMPRESS,
+                data: subsection.decompressedData,
+                options: {encoding: encoding, mode: options.mode},
+                trace: true,
+            })), options).then(results => {
+                results.forEach((result, resultIndex) => {
+                    compressedSubsections[resultIndex].recompressedData = result.data;
+                    compressedSubsections[resultIndex].recompressionTokens = result.tokens;
+                });
+            });
+        }).then(() => {
+            subsections.forEach(subsection => {
+                logger.log(`Section ${section.number}.${subsection.index}`);
 
-                    if (mismatchCount > 0) {
-                        console.log(`${mismatchCount} mismatches`);
-                    }
+                if (!subsection.compressed) {
+                    return;
+                }
 
-                    const redecompressedData = lzss.decompress(recompressedData);
+                testLookups(subsection.tokens, subsection.recompressionTokens, logger);
 
-                    const l1 = processedSectionData.length;
-                    const l2 = redecompressedData.length;
+                const redecompressedData = lzss.decompress(subsection.recompressedData, {encoding: encoding});
 
-                    console.log(`Stats for decompressed -> compressed -> decompressed:`)
-                    if (l1 === l2) {
-                        console.log(`lengths match :)`);
-                    } else {
-                        console.log(`lengths do not match by ${l1 - l2} bytes`);
-                    }
+                const l1 = subsection.decompressedData.length;
+                const l2 = redecompressedData.length;
 
-                    let diffByteCount = 0;
-                    for (let i = 0; i < Math.min(l1, l2); i++) {
-                        if (processedSectionData.readUInt8(i) !== redecompressedData.readUInt8(i)) {
-                            diffByteCount++;
-                        }
-                    }
+                logger.log(`Stats for decompressed -> compressed -> decompressed:`)
+                if (l1 === l2) {
+                    logger.log(`lengths match :)`);
+                } else {
+                    logger.log(`lengths do not match by ${l1 - l2} bytes`);
+                }
 
-                    if (diffByteCount === 0) {
-                        console.log(`data match :)`);
-                    } else {
-                        console.log(`data does not match by ${diffByteCount} bytes`);
+                let diffByteCount = 0;
+                for (let i = 0; i < Math.min(l1, l2); i++) {
+                    if (subsection.decompressedData.readUInt8(i) !== redecompressedData.readUInt8(i)) {
+                        diffByteCount++;
                     }
                 }
 
-                decompressionLookups = [];
-            }, {
-                lookupCallback: lookupData => {
-                    decompressionLookups.push(lookupData);
+                if (diffByteCount === 0) {
+                    logger.log(`data match :)`);
+                } else {
+                    logger.log(`data does not match by ${diffByteCount} bytes`);
+                }
+
+                testBitExactness(subsection.data, subsection.recompressedData, logger);
+            });
+        });
+    }), Promise.resolve());
+}
+
+/**
+ * Writes the token stream of a compressed subsection of section 0: its flag bytes, literals and lookups with their
+ * positions in the compressed and decompressed data, see lzss.decompress. Side by side, the tokens of the original are
+ * aligned with the tokens of its recompression, starting options.context rows before the first divergence, to see
+ * where the encoder decides differently than the encoder of the firmware.
+ * @param fileName
+ * @param subsectionIndex the index of the subsection in section 0
+ * @param targetDirectory
+ * @param options.encoding
+ * @param options.mode the compression mode of the recompression, see lzss.compress
+ * @param options.format jsonl (default) or csv
+ * @param options.sideBySide align the original with the recompressed token stream
+ * @param options.context the number of rows before the first divergence (default: 16)
+ * @param options.concurrency the maximum number of worker threads, 1 runs the single job on the main thread
+ * @param options.logger
+ * @returns {Promise<{filename: string, tokenCount: number, divergence: Object|null}>} the written file, the number of
+ * tokens of the original, and the row number and tokens of the first divergence (null if the streams are identical
+ * or not aligned)
+ */
+function trace(fileName, subsectionIndex, targetDirectory, options) {
+    if (options === undefined) {
+        options = {};
+    }
+
+    const logger = getLogger(options);
+    const encoding = options.encoding || lzss.ENCODING_LEGACY;
+    const format = options.format || traces.FORMAT_JSONL;
+    const context = options.context !== undefined ? options.context : TRACE_DEFAULT_CONTEXT;
+    const name = `subsection 0.${subsectionIndex}`;
+    let subsection = null;
+
+    if (traces.FORMATS.indexOf(format) === -1) {
+        throw new errors.TraceError(`unknown trace format ${format}`, 'ERR_UNKNOWN_FORMAT');
+    }
+
+    readSections(fileName, (sectionNumber, rawHeader, parsedHeader, version, data) => {
+        if (sectionNumber === 0 && version) {
+            const sectionBreaks = detectSectionBreaks(data, options);
+            buildSectionDecompressionMetadata(sectionBreaks, data.length).forEach(([start, end, compressed], index) => {
+                if (index === subsectionIndex) {
+                    subsection = {start: start, data: data.slice(start, end), compressed: compressed};
                 }
             });
         }
+    }, {verifyChecksums: false});
+
+    if (!subsection) {
+        throw new errors.TraceError(`${name} not found`, 'ERR_INVALID_SUBSECTION');
+    }
+    if (!subsection.compressed) {
+        throw new errors.TraceError(`${name} is not compressed`, 'ERR_INVALID_SUBSECTION');
+    }
+
+    logger.log(`Tracing ${name} (${subsection.data.length} bytes at ${subsection.start})`);
+
+    return workers.runJobs([{
+        name: name,
+        operation: workers.OPERATION_DECOMPRESS,
+        data: subsection.data,
+        options: {encoding: encoding},
+        trace: true,
+    }], options).then(([decompression]) => {
+        if (!options.sideBySide) {
+            const traceFileName = path.join(targetDirectory,
+                `${path.basename(fileName)}.sub0.${subsectionIndex}${TRACE_FILE_INFIX}${format}`);
+
+            fs.writeFileSync(traceFileName, traces.formatTokens(decompression.tokens, format));
+            logger.log(`Wrote ${decompression.tokens.length} tokens to ${traceFileName}`);
+
+            return {filename: traceFileName, tokenCount: decompression.tokens.length, divergence: null};
+        }
+
+        return workers.runJobs([{
+            name: name,
+            operation: workers.OPERATION_COMPRESS,
+            data: decompression.data,
+            options: {encoding: encoding, mode: options.mode},
+            trace: true,
+        }], options).then(([compression]) => {
+            const traceFileName = path.join(targetDirectory,
+                `${path.basename(fileName)}.sub0.${subsectionIndex}${TRACE_SIDE_BY_SIDE_FILE_INFIX}${format}`);
+            const rows = traces.alignTokens(decompression.tokens, compression.tokens);
+            const divergenceRow = rows.findIndex(row => !row.match);
+            const firstRow = divergenceRow === -1 ? 0 : Math.max(0, divergenceRow - context);
+            let divergence = null;
+
+            logger.log(`Original ${decompression.tokens.length} tokens (${subsection.data.length} bytes),`
+                + ` recompressed ${compression.tokens.length} tokens (${compression.data.length} bytes)`);
+
+            if (divergenceRow === -1) {
+                logger.log(`The token streams are identical`);
+            } else {
+                divergence = {
+                    row: divergenceRow,
+                    original: rows[divergenceRow].original,
+                    recompressed: rows[divergenceRow].recompressed,
+                };
+                logger.log(`First divergence at row ${divergenceRow}`
+                    + ` (${rows.filter(row => !row.match).length} of ${rows.length} rows differ):`);
+                logger.log(`original:     ${traces.describeToken(divergence.original)}`);
+                logger.log(`recompressed: ${traces.describeToken(divergence.recompressed)}`);
+            }
+
+            fs.writeFileSync(traceFileName, traces.formatAlignedTokens(rows.slice(firstRow), firstRow, format));
+            logger.log(`Wrote rows ${firstRow}-${rows.length - 1} to ${traceFileName}`);
+
+            return {filename: traceFileName, tokenCount: decompression.tokens.length, divergence: divergence};
+        });
     });
 }
 
-function repack(fileName, directory) {
-    const metadataFileName = fileName + METADATA_FILE_EXTENSION;
+/**
+ * Updates the LENGTH and SUM of a raw header to new section data. All other tokens and the whitespace are kept.
+ * @param rawHeader
+ * @param sectionData
+ * @returns {string}
+ */
+function updateRawHeader(rawHeader, sectionData) {
+    return SectionHeader.parse(rawHeader)
+        .set('LENGTH', sectionData.length)
+        .set('SUM', calculateChecksum(sectionData))
+        .toString();
+}
+
+/**
+ * Returns the name of the metadata file of an unpacked firmware, which is options.metadata if given, otherwise the
+ * file written by unpack into the directory. The unpacked files are read from the directory of the metadata file.
+ * @param fileName the name of the unpacked firmware file
+ * @param directory the directory of the unpacked files
+ * @param options.metadata
+ * @returns {string}
+ */
+function getMetadataFileName(fileName, directory, options) {
+    return (options && options.metadata) || path.join(directory, path.basename(fileName) + METADATA_FILE_EXTENSION);
+}
+
+/**
+ * Reads the metadata written by unpack, migrates it to the current version and validates it.
+ * @param metadataFileName
+ * @param operation the name of the operation that needs the metadata, for the error message
+ * @param options.logger
+ * @returns {Object}
+ */
+function readMetadata(metadataFileName, operation, options) {
+    const logger = getLogger(options);
 
     if (!fs.existsSync(metadataFileName)) {
-        throw `cannot repack, metadata file not found (${metadataFileName})`;
+        throw new errors.MetadataError(`cannot ${operation}, metadata file not found (${metadataFileName})`);
     }
 
-    const metadata = JSON.parse(fs.readFileSync(metadataFileName, 'utf8'));
-    const repackedFileName = fileName + `.repacked`;
-    const outputBuffers = [];
+    let metadata;
+    try {
+        metadata = JSON.parse(fs.readFileSync(metadataFileName, 'utf8'));
+    } catch (error) {
+        throw new errors.MetadataError(`cannot ${operation}, metadata file is not valid JSON (${error.message})`);
+    }
 
-    metadata.sections.forEach(sectionMetadata => {
-        const sectionFileName = path.join(directory, sectionMetadata.filename);
-        let sectionData = [];
+    const migratedMetadata = metadataFiles.migrateMetadata(metadata);
+    if (migratedMetadata !== metadata) {
+        logger.warn(`Metadata version ${metadata.version} has been migrated to version ${migratedMetadata.version},`
+            + ` changes of the unpacked files cannot be detected without the hashes of a new unpack`);
+    }
 
-        if (sectionMetadata.subsections && sectionMetadata.subsections.length > 0) {
-            const subsectionBuffers = [];
+    return metadataFiles.validateMetadata(migratedMetadata);
+}
 
-            sectionMetadata.subsections.forEach(subsectionMetadata => {
-                let subsectionData;
+/**
+ * Finds the metadata of the ND1 section of an unpacked firmware.
+ * @param metadata
+ * @returns {Object}
+ */
+function findNd1SectionMetadata(metadata) {
+    const sectionMetadata = metadata.sections.find(section => section.parsedHeader.sectionId === nd1.ND1_ID);
 
-                if (subsectionMetadata.compressed) {
-                    const subsectionFileName = path.join(directory, subsectionMetadata.filenameDecompressed);
-                    console.log(`Reading ${subsectionFileName}`);
-                    subsectionData = fs.readFileSync(subsectionFileName);
-                    console.log(`Compressing...`);
-                    subsectionData = lzss.compress(subsectionData);
-                } else {
-                    const subsectionFileName = path.join(directory, subsectionMetadata.filename);
-                    console.log(`Reading ${subsectionFileName}`);
-                    subsectionData = fs.readFileSync(subsectionFileName);
-                }
-                subsectionBuffers.push(subsectionData);
+    if (!sectionMetadata) {
+        throw new errors.MetadataError(`the unpacked firmware has no ${nd1.ND1_ID} section`);
+    }
 
-                // pad subsection with zeros to block size
-                const subsectionDataLength = subsectionData.length;
-                const requiredPadding = (FW_SUBSECTION_BLOCK_SIZE - (subsectionDataLength % FW_SUBSECTION_BLOCK_SIZE)) % FW_SUBSECTION_BLOCK_SIZE;
-                subsectionBuffers.push(Buffer.alloc(requiredPadding));
-            });
+    return sectionMetadata;
+}
 
-            sectionData = Buffer.concat(subsectionBuffers);
-        } else {
-            console.log(`Reading ${sectionFileName}`);
-            sectionData = fs.readFileSync(sectionFileName);
-        }
+/**
+ * Exports the string tables of the unpacked ND1 section into a file per table (usually one per language).
+ * @param fileName the name of the unpacked firmware file
+ * @param directory the directory of the unpacked files
+ * @param options.format json (default) or po
+ * @param options.metadata the metadata file, see getMetadataFileName
+ * @param options.logger
+ */
+function exportStrings(fileName, directory, options) {
+    if (options === undefined) {
+        options = {};
+    }
 
-        // update header
-        let header = sectionMetadata.rawHeader;
-        header = header.replace(`${sectionMetadata.parsedHeader.sectionLength}`, `${sectionData.length}`);
-        const checksum = calculateChecksum(sectionData);
-        header = header.replace(`${sectionMetadata.parsedHeader.sectionSum}`, `${checksum}`);
-        const headerData = prepareHeader(header);
+    const logger = getLogger(options);
+    const format = options.format || STRING_TABLE_FORMATS[0];
 
-        outputBuffers.push(headerData);
-        outputBuffers.push(sectionData);
+    if (STRING_TABLE_FORMATS.indexOf(format) === -1) {
+        throw new errors.StringTableError(`unknown string table format ${format}`);
+    }
+
+    const metadataFileName = getMetadataFileName(fileName, directory, options);
+    const sectionMetadata = findNd1SectionMetadata(readMetadata(metadataFileName, 'export strings', options));
+    const unpackedDirectory = path.dirname(metadataFileName);
+    const tables = nd1.findStringTables(fs.readFileSync(path.join(unpackedDirectory, sectionMetadata.filename)));
+
+    tables.forEach(table => {
+        const tableFileName = `${sectionMetadata.filename}${STRING_TABLE_FILE_INFIX}${table.index}.${format}`;
+        const content = format === 'po' ? nd1.formatPo(table) : JSON.stringify({
+            index: table.index,
+            offset: table.offset,
+            strings: table.strings.map(string => ({
+                offset: string.offset,
+                capacity: string.capacity,
+                original: string.text,
+                text: string.text,
+            })),
+        }, null, 2);
+
+        fs.writeFileSync(path.join(unpackedDirectory, tableFileName), content);
+        logger.log(`Table ${table.index} at offset ${table.offset}: ${table.strings.length} strings -> ${tableFileName}`);
     });
 
-    const outputBuffer = Buffer.concat(outputBuffers);
+    logger.log(`Exported ${tables.length} string tables`);
+}
 
-    console.log(`Writing ${repackedFileName}`);
-    fs.writeFileSync(repackedFileName, outputBuffer);
+/**
+ * Writes the edited strings of the files written by exportStrings back into the unpacked ND1 section, from where
+ * they are picked up by repack.
+ * @param fileName the name of the unpacked firmware file
+ * @param directory the directory of the unpacked files
+ * @param options.metadata the metadata file, see getMetadataFileName
+ * @param options.logger
+ */
+function importStrings(fileName, directory, options) {
+    const logger = getLogger(options);
+    const metadataFileName = getMetadataFileName(fileName, directory, options);
+    const sectionMetadata = findNd1SectionMetadata(readMetadata(metadataFileName, 'import strings', options));
+    const unpackedDirectory = path.dirname(metadataFileName);
+    const sectionFileName = path.join(unpackedDirectory, sectionMetadata.filename);
+    const tableFileNamePrefix = sectionMetadata.filename + STRING_TABLE_FILE_INFIX;
+    let data = fs.readFileSync(sectionFileName);
+    let changed = 0;
+
+    fs.readdirSync(unpackedDirectory)
+        .filter(entry => entry.startsWith(tableFileNamePrefix)
+            && STRING_TABLE_FORMATS.indexOf(path.extname(entry).slice(1)) !== -1)
+        .sort()
+        .forEach(tableFileName => {
+            const content = fs.readFileSync(path.join(unpackedDirectory, tableFileName), 'utf8');
+            const strings = path.extname(tableFileName) === '.po'
+                ? nd1.parsePo(content)
+                : JSON.parse(content).strings;
+
+            const result = nd1.writeStrings(data, strings);
+            data = result.data;
+            changed += result.changed;
+            logger.log(`${tableFileName}: ${result.changed} changed strings`);
+        });
 
-    const warning =
-        '# WARNING ###########################################################\n' +
-        '# Do not flash this firmware unless you know exactly what you are   #\n' +
-        '# doing! This is not tested and will most likely destroy your       #\n' +
-        '# camera!                                                           #\n' +
+    fs.writeFileSync(sectionFileName, data);
+    logger.log(`Wrote ${changed} changed strings to ${sectionMetadata.filename}, repack to build the firmware file`);
+}
+
+/**
+ * Verifies repacked firmware data like a new unpack would read it: the sections and their checksums, the subsection
+ * layout, the decompressed data of every compressed subsection, and that the memory regions of the sections and
+ * subsections do not overlap (see memmap).
+ * @param buffer the repacked firmware data
+ * @param expectedSections for every section the subsections with start, end, compressed flag and the data that
+ * has been compressed
+ * @param encoding
+ * @returns {Array} the problems found, empty if the data is valid
+ */
+function verifyRepackedFirmware(buffer, expectedSections, encoding) {
+    const problems = [];
+    const sections = [];
+
+    try {
+        parseSections(buffer, (sectionNumber, rawHeader, parsedHeader, version, data) => {
+            sections.push({number: sectionNumber, id: parsedHeader.sectionId, header: parsedHeader, data: data});
+        });
+    } catch (error) {
+        problems.push(`cannot read the repacked firmware: ${error.message}`);
+    }
+
+    if (sections.length !== expectedSections.length) {
+        problems.push(`${sections.length} sections have been read instead of ${expectedSections.length}`);
+    }
+
+    sections.forEach((section, sectionIndex) => {
+        const subsections = (expectedSections[sectionIndex] || {subsections: []}).subsections;
+
+        if (subsections.length === 0) {
+            return;
+        }
+
+        const expectedBreaks = subsections.slice(1).map(subsection => subsection.start);
+        if (JSON.stringify(detectSectionBreaks(section.data)) !== JSON.stringify(expectedBreaks)) {
+            problems.push(`the subsections of section ${section.number} would not be detected correctly`);
+        }
+
+        subsections.filter(subsection => subsection.compressed).forEach(subsection => {
+            const name = `subsection ${section.number}.${subsection.index}`;
+            let decompressedData;
+
+            try {
+                decompressedData = lzss.decompress(section.data.slice(subsection.start, subsection.end),
+                    {encoding: encoding, expectedSize: subsection.data.length});
+            } catch (error) {
+                problems.push(`${name} cannot be decompressed: ${error.message}`);
+                return;
+            }
+
+            // The legacy encoder fills the last flag group with zero literals
+            const excessData = decompressedData.slice(subsection.data.length);
+            if (!decompressedData.slice(0, subsection.data.length).equals(subsection.data)
+                || excessData.some(byte => byte !== 0x00)) {
+                problems.push(`${name} does not decompress to its input data`);
+            }
+        });
+    });
+
+    // The memory layout, with the decompressed lengths of the compressed subsections
+    const parts = [];
+    sections.forEach((section, sectionIndex) => {
+        const subsections = (expectedSections[sectionIndex] || {subsections: []}).subsections;
+        const offset = section.header.sectionOffset;
+
+        if (subsections.length === 0) {
+            parts.push({
+                name: getPartName(section.number, section.header),
+                length: section.data.length,
+                headerAddress: offset,
+            });
+            return;
+        }
+
+        subsections.forEach(subsection => parts.push({
+            name: getPartName(section.number, section.header, subsection.index),
+            length: subsection.compressed ? subsection.data.length : subsection.end - subsection.start,
+            headerAddress: offset !== undefined && !subsection.compressed ? offset + subsection.start : undefined,
+        }));
+    });
+
+    try {
+        const image = sections.length > 0 ? findImage(sections[0].header) : null;
+        layout.findOverlaps(getMemoryRegions(resolveLoadAddresses(parts, image))).forEach(([a, b]) => {
+            problems.push(`${a.name} (${formatHex(a.start)}-${formatHex(a.end)}) overlaps ${b.name}`
+                + ` (${formatHex(b.start)}-${formatHex(b.end)})`);
+        });
+    } catch (error) {
+        problems.push(`cannot check the memory layout: ${error.message}`);
+    }
+
+    return problems;
+}
+
+/**
+ * Verifies generated firmware data and writes it to a file, see verifyRepackedFirmware.
+ * @param fileName
+ * @param buffer
+ * @param expectedSections
+ * @param encoding
+ * @param options.force write the file even if the verification fails
+ * @param options.logger
+ * @throws {VerificationError} if the verification fails without the force option
+ */
+function writeFirmwareFile(fileName, buffer, expectedSections, encoding, options) {
+    const logger = getLogger(options);
+
+    logger.log(`Verifying...`);
+    const problems = verifyRepackedFirmware(buffer, expectedSections, encoding);
+
+    if (problems.length > 0) {
+        problems.forEach(problem => logger.warn(`Verification failed: ${problem}`));
+
+        if (!options.force) {
+            throw new errors.VerificationError(problems);
+        }
+        logger.warn(`Writing the firmware file anyway because of the force option`);
+    } else {
+        logger.log(`Verification ok`);
+    }
+
+    logger.log(`Writing ${fileName}`);
+    fs.writeFileSync(fileName, buffer);
+
+    const warning =
+        '# WARNING ###########################################################\n' +
+        '# Do not flash this firmware unless you know exactly what you are   #\n' +
+        '# doing! This is not tested and will most likely destroy your       #\n' +
+        '# camera!                                                           #\n' +
         '#####################################################################';
-    console.warn(warning);
+    logger.warn(warning);
+
+    logger.log(`Finished!`);
+}
+
+const formatSizeDifference = (size, otherSize) => `${size - otherSize > 0 ? '+' : ''}${size - otherSize}`;
+
+/**
+ * Compresses the subsections that have no compressed data yet, in parallel on worker threads. With the best
+ * compression mode, they are also compressed greedily to report the size differences against the greedy and the
+ * original compressed data.
+ * @param subsections the subsections with name, input data, data (null if the subsection needs to be compressed), and
+ * the original compressed data including its padding (null if unknown)
+ * @param encoding
+ * @param options.mode the compression mode, see lzss.compress
+ * @param options.concurrency the maximum number of worker threads (default: the number of CPU cores)
+ * @param options.logger
+ * @returns {Promise<Array>} the compressed subsections with name, size, and the greedy and original size (only with
+ * the best compression mode, null if unknown)
+ */
+function compressSubsections(subsections, encoding, options) {
+    const logger = getLogger(options);
+    const mode = (options && options.mode) || lzss.MODE_GREEDY;
+    const pendingSubsections = subsections.filter(subsection => subsection.data === null);
+    const modes = mode === lzss.MODE_BEST ? [lzss.MODE_BEST, lzss.MODE_GREEDY] : [mode];
+    const jobs = [];
+
+    pendingSubsections.forEach(subsection => modes.forEach(jobMode => jobs.push({
+        name: mode === jobMode ? subsection.name : `${subsection.name} (${jobMode})`,
+        operation: workers.OPERATION_COMPRESS,
+        data: subsection.inputData,
+        options: {encoding: encoding, mode: jobMode},
+    })));
+
+    return workers.runJobs(jobs, options).then(results => pendingSubsections.map((subsection, index) => {
+        const compressedResults = results.slice(index * modes.length, (index + 1) * modes.length);
+        const report = {name: subsection.name, size: compressedResults[0].data.length};
+
+        subsection.data = compressedResults[0].data;
+
+        if (mode !== lzss.MODE_BEST) {
+            return report;
+        }
+
+        report.greedySize = compressedResults[1].data.length;
+        report.originalSize = subsection.originalData ? lzss.findStreamEnd(subsection.originalData) : null;
+
+        logger.info(`${subsection.name}: ${report.size} bytes, greedy ${report.greedySize} bytes`
+            + ` (${formatSizeDifference(report.size, report.greedySize)})`
+            + (report.originalSize !== null ? `, original ${report.originalSize} bytes`
+                + ` (${formatSizeDifference(report.size, report.originalSize)})` : ''));
+
+        // The subsections are padded to blocks, so only a subsection that needs more blocks moves the following data
+        const paddedSize = padSubsection(subsection.data).length;
+        if (subsection.originalData && paddedSize > subsection.originalData.length) {
+            logger.warn(`${subsection.name} needs ${paddedSize - subsection.originalData.length} bytes more than`
+                + ` the original, which moves all following data`);
+        }
+
+        return report;
+    }));
+}
+
+/**
+ * Joins subsections into the data of their section, each padded with zeros to the subsection block size.
+ * @param subsections the subsections with index, compressed flag, input data and data
+ * @returns {{data: Buffer, expectedSection: Object}} the section data, and the expected section for
+ * verifyRepackedFirmware
+ */
+function joinSubsections(subsections) {
+    const subsectionBuffers = [];
+    const expectedSection = {subsections: []};
+    let subsectionStart = 0;
+
+    subsections.forEach(subsection => {
+        const paddedSubsectionData = padSubsection(subsection.data);
+        subsectionBuffers.push(paddedSubsectionData);
+
+        expectedSection.subsections.push({
+            index: subsection.index,
+            start: subsectionStart,
+            end: subsectionStart + paddedSubsectionData.length,
+            compressed: subsection.compressed,
+            data: subsection.inputData,
+        });
+        subsectionStart += paddedSubsectionData.length;
+    });
+
+    return {data: Buffer.concat(subsectionBuffers), expectedSection: expectedSection};
+}
+
+/**
+ * Repacks an unpacked firmware into a firmware file, which is verified before it is written.
+ * @param fileName the name of the unpacked firmware file
+ * @param directory the directory of the unpacked files, where the repacked file is written to
+ * @param options.metadata the metadata file, see getMetadataFileName; the unpacked files are read from its directory
+ * @param options.force write the firmware file even if its verification fails
+ * @param options.mode the compression mode of the changed subsections, see lzss.compress
+ * @param options.concurrency the maximum number of worker threads that compress subsections (default: the number of
+ * CPU cores)
+ * @param options.logger
+ * @returns {Promise<Array>} the unpacked files with name, filename and status (unchanged, changed, or unknown if the
+ * metadata has no hash of the file)
+ */
+function repack(fileName, directory, options) {
+    if (options === undefined) {
+        options = {};
+    }
+
+    const logger = getLogger(options);
+    const metadataFileName = getMetadataFileName(fileName, directory, options);
+    const metadata = readMetadata(metadataFileName, 'repack', options);
+    const unpackedDirectory = path.dirname(metadataFileName);
+    const encoding = metadata.encoding || lzss.ENCODING_LEGACY;
+    const repackedFileName = path.join(directory, path.basename(fileName) + `.repacked`);
+    const outputBuffers = [Buffer.alloc(metadata.leadingSpaces, ' ')];
+    const expectedSections = [];
+    const changes = [];
+
+    // Compares a file to its hash written by unpack, files without a hash are treated as changed
+    const trackChange = (name, fileName, data, hash) => {
+        const status = hash === null ? 'unknown' : (sha256(data) === hash ? 'unchanged' : 'changed');
+        changes.push({name: name, filename: fileName, status: status});
+        return status;
+    };
+
+    // Read all files first, so that all subsections that need to be compressed are compressed in parallel
+    const sections = metadata.sections.map((sectionMetadata, sectionNumber) => {
+        const sectionName = `section ${sectionNumber}`
+            + (sectionMetadata.parsedHeader.sectionId ? ` (${sectionMetadata.parsedHeader.sectionId})` : '');
+        const sectionFileName = path.join(unpackedDirectory, sectionMetadata.filename);
+
+        if (sectionMetadata.subsections.length === 0) {
+            logger.log(`Reading ${sectionFileName}`);
+            const sectionData = fs.readFileSync(sectionFileName);
+            trackChange(sectionName, sectionMetadata.filename, sectionData, sectionMetadata.sha256);
+            return {metadata: sectionMetadata, name: sectionName, data: sectionData, subsections: null};
+        }
+
+        if (fs.existsSync(sectionFileName) && sectionMetadata.sha256 !== null
+            && sha256(fs.readFileSync(sectionFileName)) !== sectionMetadata.sha256) {
+            logger.warn(`${sectionMetadata.filename} has been changed, but ${sectionName} is built from its`
+                + ` subsections, so the change is ignored`);
+        }
+
+        const subsections = sectionMetadata.subsections.map((subsectionMetadata, index) => {
+            const subsectionName = `subsection ${sectionNumber}.${index}`;
+            const subsection = {
+                index: index,
+                name: subsectionName,
+                compressed: subsectionMetadata.compressed,
+                inputData: null,
+                data: null,
+                originalData: null,
+            };
+
+            if (subsectionMetadata.compressed) {
+                const subsectionFileName = path.join(unpackedDirectory, subsectionMetadata.filenameDecompressed);
+                logger.log(`Reading ${subsectionFileName}`);
+                subsection.inputData = fs.readFileSync(subsectionFileName);
+
+                const status = trackChange(subsectionName, subsectionMetadata.filenameDecompressed,
+                    subsection.inputData, subsectionMetadata.sha256Decompressed);
+                const compressedFileName = path.join(unpackedDirectory, subsectionMetadata.filename);
+                const compressedData = fs.existsSync(compressedFileName) ? fs.readFileSync(compressedFileName) : null;
+
+                // Reuse the compressed data of an unchanged subsection, which keeps it identical to the original
+                if (status === 'unchanged' && compressedData && sha256(compressedData) === subsectionMetadata.sha256) {
+                    logger.log(`Reusing unchanged ${compressedFileName}`);
+                    subsection.data = compressedData;
+                } else {
+                    subsection.originalData = compressedData;
+                }
+            } else {
+                const subsectionFileName = path.join(unpackedDirectory, subsectionMetadata.filename);
+                logger.log(`Reading ${subsectionFileName}`);
+                subsection.data = subsection.inputData = fs.readFileSync(subsectionFileName);
+                trackChange(subsectionName, subsectionMetadata.filename, subsection.inputData,
+                    subsectionMetadata.sha256);
+            }
+
+            return subsection;
+        });
+
+        return {metadata: sectionMetadata, name: sectionName, data: null, subsections: subsections};
+    });
+
+    const subsections = [].concat.apply([], sections.map(section => section.subsections || []));
+
+    return compressSubsections(subsections, encoding, options).then(() => {
+        sections.forEach(section => {
+            const sectionMetadata = section.metadata;
+            let sectionData = section.data;
+            let expectedSection = {subsections: []};
+
+            if (section.subsections) {
+                const joinedSection = joinSubsections(section.subsections);
+                sectionData = joinedSection.data;
+                expectedSection = joinedSection.expectedSection;
+            }
+
+            if (sectionMetadata.partitionTable) {
+                const partitionTableFileName = path.join(unpackedDirectory, sectionMetadata.partitionTable.filename);
+                logger.log(`Reading ${partitionTableFileName}`);
+                const entries = JSON.parse(fs.readFileSync(partitionTableFileName, 'utf8'));
+
+                // Only re-encode an edited table, so that edits of the binary section file are kept otherwise
+                if (JSON.stringify(entries) !== JSON.stringify(sectionMetadata.partitionTable.entries)) {
+                    logger.log(`Encoding edited partition table`);
+                    sectionData = ptbl.writePartitionTable(sectionData, entries);
+                    changes.push({name: `${section.name} partition table`,
+                        filename: sectionMetadata.partitionTable.filename, status: 'changed'});
+                }
+            }
+
+            // update header
+            const header = updateRawHeader(sectionMetadata.rawHeader, sectionData);
+            const headerData = prepareHeader(header);
+
+            outputBuffers.push(headerData);
+            outputBuffers.push(sectionData);
+            expectedSections.push(expectedSection);
+        });
+
+        const outputBuffer = Buffer.concat(outputBuffers);
+
+        const changedFiles = changes.filter(change => change.status !== 'unchanged');
+        changedFiles.forEach(change => {
+            logger.info(`${change.status === 'changed' ? 'Changed' : 'Unknown'}: ${change.name} (${change.filename})`);
+        });
+        if (changedFiles.length === 0) {
+            logger.info(`No changes to the unpacked files`);
+        }
+
+        writeFirmwareFile(repackedFileName, outputBuffer, expectedSections, encoding, options);
+
+        return changes;
+    });
+}
+
+/**
+ * Applies a patch file to an unpacked firmware and repacks it. The expected bytes of all patches are verified, and
+ * patches that overlap in the same file are rejected, before anything is written. Patches whose replacement is already
+ * in place are skipped. The patched files are written into the unpacked firmware for repack, and restored if the
+ * repack fails, so that the unpacked files only keep the patches of a written firmware file.
+ * @param fileName the name of the unpacked firmware file
+ * @param patchFileName the JSON or YAML (.yaml or .yml) patch file, see patch.parsePatchFile
+ * @param directory the directory of the unpacked files, where the repacked file is written to
+ * @param options.metadata the metadata file, see getMetadataFileName
+ * @param options.mode the compression mode of the changed subsections, see lzss.compress
+ * @param options.logger
+ * @returns {Promise<Array>} the changes, see repack
+ */
+function applyPatchFile(fileName, patchFileName, directory, options) {
+    const logger = getLogger(options);
+    const metadataFileName = getMetadataFileName(fileName, directory, options);
+    const metadata = readMetadata(metadataFileName, 'patch', options);
+    const unpackedDirectory = path.dirname(metadataFileName);
+    const patches = patchFiles.parsePatchFile(fs.readFileSync(patchFileName, 'utf8'),
+        patchFiles.getPatchFileFormat(patchFileName));
+    const targetFiles = {};
+    const originalTargetFiles = {};
+
+    const getTargetFileName = (patch) => {
+        const sectionMetadata = typeof patch.section === 'string'
+            ? metadata.sections.find(section => section.parsedHeader.sectionId === patch.section)
+            : metadata.sections[patch.section];
+
+        if (!sectionMetadata) {
+            throw new errors.PatchError(`${patch.name}: section ${patch.section} not found`, 'ERR_INVALID_PATCH');
+        }
+
+        const subsections = sectionMetadata.subsections || [];
+
+        if (patch.subsection === undefined) {
+            if (subsections.length > 0) {
+                throw new errors.PatchError(`${patch.name}: section ${patch.section} is split into subsections,`
+                    + ` a subsection is required`, 'ERR_INVALID_PATCH');
+            }
+            return sectionMetadata.filename;
+        }
+
+        const subsectionMetadata = subsections[patch.subsection];
+        if (!subsectionMetadata) {
+            throw new errors.PatchError(`${patch.name}: subsection ${patch.subsection} of section ${patch.section}`
+                + ` not found`, 'ERR_INVALID_PATCH');
+        }
+
+        return subsectionMetadata.compressed ? subsectionMetadata.filenameDecompressed : subsectionMetadata.filename;
+    };
+
+    // Verify all patches before applying any of them
+    const locatedPatches = patches.map(patch => {
+        const targetFileName = getTargetFileName(patch);
+
+        if (!targetFiles[targetFileName]) {
+            originalTargetFiles[targetFileName] = fs.readFileSync(path.join(unpackedDirectory, targetFileName));
+            targetFiles[targetFileName] = Buffer.from(originalTargetFiles[targetFileName]);
+        }
+
+        return Object.assign({targetFileName: targetFileName},
+            patchFiles.locatePatch(targetFiles[targetFileName], patch), patch);
+    });
+
+    // Overlapping patches would each be verified against the original bytes, and then overwrite each other
+    const overlap = layout.findOverlaps(locatedPatches.map(patch => ({
+        name: patch.name,
+        file: patch.targetFileName,
+        start: patch.position,
+        end: patch.position + patch.replacement.length,
+    }))).find(([a, b]) => a.file === b.file);
+
+    if (overlap) {
+        throw new errors.PatchError(`${overlap[0].name} and ${overlap[1].name} overlap in ${overlap[0].file}`
+            + ` at ${overlap[1].start}`, 'ERR_INVALID_PATCH');
+    }
+
+    locatedPatches.forEach(patch => {
+        if (patch.applied) {
+            logger.log(`${patch.name}: already applied to ${patch.targetFileName} at ${patch.position}`);
+            return;
+        }
+
+        patch.replacement.copy(targetFiles[patch.targetFileName], patch.position);
+        logger.log(`${patch.name}: patched ${patch.replacement.length} bytes of ${patch.targetFileName}`
+            + ` at ${patch.position}`);
+    });
+
+    const writeTargetFiles = (files) => Object.keys(files).forEach(targetFileName => {
+        fs.writeFileSync(path.join(unpackedDirectory, targetFileName), files[targetFileName]);
+    });
+
+    writeTargetFiles(targetFiles);
+
+    return new Promise(resolve => resolve(repack(fileName, directory, options))).catch(error => {
+        writeTargetFiles(originalTargetFiles);
+        logger.warn(`Restored the unpacked files, the patches have not been kept`);
+        throw error;
+    });
+}
+
+/**
+ * Creates a firmware file from a manifest, see manifest.parseManifest. The created file is verified like a repacked
+ * one before it is written.
+ * @param manifestFileName
+ * @param targetDirectory
+ * @param options.force write the firmware file even if its verification fails
+ * @param options.mode the compression mode of the compressed subsections, see lzss.compress
+ * @param options.concurrency the maximum number of worker threads that compress subsections (default: the number of
+ * CPU cores)
+ * @param options.logger
+ * @returns {Promise<string>} the name of the created file
+ */
+function create(manifestFileName, targetDirectory, options) {
+    if (options === undefined) {
+        options = {};
+    }
+
+    const logger = getLogger(options);
+    const manifest = manifests.parseManifest(fs.readFileSync(manifestFileName, 'utf8'));
+    const sourceDirectory = path.dirname(manifestFileName);
+    const targetFileBaseName = manifest.filename || path.basename(manifestFileName, path.extname(manifestFileName))
+        + '.bin';
+    const outputBuffers = [Buffer.alloc(manifest.leadingSpaces, ' ')];
+    const expectedSections = [];
+
+    if (path.basename(targetFileBaseName) !== targetFileBaseName) {
+        throw new errors.ManifestError(`invalid filename ${targetFileBaseName}`);
+    }
+
+    const readSourceFile = (file) => {
+        const sourceFileName = path.join(sourceDirectory, file);
+        logger.log(`Reading ${sourceFileName}`);
+        return fs.readFileSync(sourceFileName);
+    };
+
+    // Read and check all files first, so that all subsections are compressed in parallel
+    const sections = manifest.sections.map((section, sectionNumber) => {
+        if (!section.subsections) {
+            return {section: section, data: readSourceFile(section.file), subsections: null};
+        }
+
+        const subsections = section.subsections.map((subsection, index) => {
+            const name = `subsection ${sectionNumber}.${index}`;
+            const inputData = readSourceFile(subsection.file);
+
+            // The layout is detected from the data, so it must follow the format of the vendor firmware
+            if (index < FW_UNCOMPRESSED_SUBSECTION_COUNT) {
+                if (subsection.compressed || inputData.length !== FW_UNCOMPRESSED_SUBSECTION_LENGTH) {
+                    throw new errors.ManifestError(`${name} must be uncompressed and exactly`
+                        + ` ${FW_UNCOMPRESSED_SUBSECTION_LENGTH} bytes long`);
+                }
+            } else if (!subsection.compressed) {
+                throw new errors.ManifestError(`${name} must be compressed, only the first`
+                    + ` ${FW_UNCOMPRESSED_SUBSECTION_COUNT} subsections are uncompressed`);
+            }
+
+            return {
+                index: index,
+                name: name,
+                compressed: subsection.compressed,
+                inputData: inputData,
+                data: subsection.compressed ? null : inputData,
+                originalData: null,
+            };
+        });
+
+        return {section: section, data: null, subsections: subsections};
+    });
+
+    const subsections = [].concat.apply([], sections.map(section => section.subsections || []));
+
+    return compressSubsections(subsections, manifest.encoding, options).then(() => {
+        sections.forEach((section, sectionNumber) => {
+            let sectionData = section.data;
+            let expectedSection = {subsections: []};
+
+            if (section.subsections) {
+                const joinedSection = joinSubsections(section.subsections);
+                sectionData = joinedSection.data;
+                expectedSection = joinedSection.expectedSection;
+            }
+
+            const followingSectionIds = sectionNumber === 0
+                ? manifest.sections.slice(1).map(followingSection => followingSection.id) : undefined;
+            const header = updateRawHeader(manifests.buildRawHeader(section.section, followingSectionIds),
+                sectionData);
+
+            outputBuffers.push(prepareHeader(header));
+            outputBuffers.push(sectionData);
+            expectedSections.push(expectedSection);
+        });
+
+        const targetFileName = path.join(targetDirectory, targetFileBaseName);
+        writeFirmwareFile(targetFileName, Buffer.concat(outputBuffers), expectedSections, manifest.encoding, options);
+
+        return targetFileName;
+    });
+}
+
+/**
+ * Collects information about a firmware file without writing any files. Checksum mismatches are reported instead of
+ * thrown.
+ * @param buffer firmware file data
+ * @returns {{size: number, leadingSpaces: number, version: Object|null, versionError: string|null, sections: Array}}
+ */
+function getInfo(buffer) {
+    const info = {
+        size: buffer.length,
+        leadingSpaces: countLeadingSpaces(buffer),
+        version: null,
+        versionError: null,
+        identification: null,
+        sections: [],
+    };
+
+    parseSections(buffer, (sectionNumber, rawHeader, parsedHeader, version, data, headerPosition) => {
+        if (sectionNumber === 0) {
+            try {
+                const identifiedVersion = identifyVersion(parsedHeader);
+                info.version = {
+                    deviceId: identifiedVersion[0],
+                    deviceVersion: identifiedVersion[1],
+                    dvr: identifiedVersion[2],
+                    name: identifiedVersion[3],
+                };
+            } catch (error) {
+                info.versionError = error.message;
+            }
+        }
+
+        const sum = calculateChecksum(data);
+        const sectionInfo = {
+            number: sectionNumber,
+            id: parsedHeader.sectionId || null,
+            headerPosition: headerPosition,
+            position: headerPosition + FW_SECTION_HEADER_LENGTH,
+            length: parsedHeader.sectionLength,
+            offset: parsedHeader.sectionOffset !== undefined ? parsedHeader.sectionOffset : null,
+            sum: parsedHeader.sectionSum,
+            calculatedSum: sum,
+            checksumValid: sum === parsedHeader.sectionSum,
+            rawHeader: rawHeader,
+            header: parsedHeader,
+        };
+
+        if (parsedHeader.sectionId === ptbl.PTBL_ID) {
+            sectionInfo.partitionTable = ptbl.parsePartitionTable(data).entries;
+        }
+
+        if (sectionNumber === 0) {
+            const subsectionLayout = detectSubsectionLayout(data);
+            sectionInfo.subsectionBreaks = subsectionLayout.breaks;
+            sectionInfo.subsectionBreaksExact = subsectionLayout.exact;
+            sectionInfo.subsections = buildSectionDecompressionMetadata(subsectionLayout.breaks, data.length)
+                .map(([start, end, compressed], index) => ({
+                    index: index,
+                    start: start,
+                    end: end,
+                    length: end - start,
+                    compressed: compressed,
+                }));
+        }
+
+        info.sections.push(sectionInfo);
+    }, {verifyChecksums: false});
+
+    info.identification = identifyImage(buffer);
+
+    return info;
+}
+
+/**
+ * Prints information about a firmware file as a table, see getInfo.
+ * @param fileName
+ * @param options.logger
+ * @returns {Object} the information
+ */
+function info(fileName, options) {
+    if (options === undefined) {
+        options = {};
+    }
+
+    const logger = getLogger(options);
+    const firmwareInfo = Object.assign({filename: path.basename(fileName)}, getInfo(fs.readFileSync(fileName)));
+
+    const row = (columns) => columns
+        .map(([value, width]) => S(value === undefined || value === null ? '-' : value).padRight(width).s)
+        .join(' ')
+        .trim();
+
+    logger.log(`File: ${firmwareInfo.filename} (${firmwareInfo.size} bytes)`);
+    if (firmwareInfo.version) {
+        const version = firmwareInfo.version;
+        logger.log(`Firmware: ${version.name} (${version.deviceId} ${version.deviceVersion} ${version.dvr})`);
+    } else {
+        logger.log(`Firmware: unknown (${firmwareInfo.versionError})`);
+    }
+    logger.log(`Identification: ${describeIdentification(firmwareInfo.identification)}`);
+    logger.log(`SHA-256: ${firmwareInfo.identification.sha256}`);
+    logger.log();
+
+    const sectionColumns = [3, 5, 10, 10, 10, 12, 12, 8];
+    logger.log(row(['#', 'Id', 'Position', 'Length', 'Offset', 'Sum', 'Actual sum', 'Checksum']
+        .map((title, index) => [title, sectionColumns[index]])));
+    firmwareInfo.sections.forEach(section => {
+        logger.log(row([section.number, section.id, section.position, section.length, section.offset, section.sum,
+            section.calculatedSum, section.checksumValid ? 'ok' : 'FAILED']
+            .map((value, index) => [value, sectionColumns[index]])));
+    });
+
+    firmwareInfo.sections.filter(section => section.subsections).forEach(section => {
+        logger.log();
+        logger.log(`Subsections of section ${section.number} (breaks at ${section.subsectionBreaks.join(', ')}`
+            + `${section.subsectionBreaksExact ? '' : ', GUESSED from the zero padding'}):`);
+
+        const subsectionColumns = [6, 10, 10, 10, 10];
+        logger.log(row(['#', 'Start', 'End', 'Length', 'Compressed']
+            .map((title, index) => [title, subsectionColumns[index]])));
+        section.subsections.forEach(subsection => {
+            logger.log(row([`${section.number}.${subsection.index}`, subsection.start, subsection.end,
+                subsection.length, subsection.compressed ? 'yes' : 'no']
+                .map((value, index) => [value, subsectionColumns[index]])));
+        });
+    });
+
+    firmwareInfo.sections.filter(section => section.partitionTable).forEach(section => {
+        logger.log();
+        logPartitionTable(section.partitionTable, logger);
+    });
+
+    return firmwareInfo;
+}
+
+/**
+ * Records the hashes of a known-good firmware file, e.g. an original release, in a firmware database file of the user,
+ * so that identifyImage recognizes the file and reports modified sections of files of the same version once the file
+ * is loaded with loadDatabase. The image of the same device, version and DVR is updated; other versions, e.g. of
+ * another model, are added with options.name. The file must pass verifyFirmware, and hashes that are already
+ * recorded are only replaced with options.force.
+ * @param fileName
+ * @param options.database the database file to record the image in, which is read first if it exists
+ * @param options.name the name of the firmware version (required for versions that are not in the database yet)
+ * @param options.force replace recorded hashes
+ * @param options.encoding the encoding to verify the compressed subsections with (default: legacy)
+ * @param options.logger
+ * @returns {Object} the recorded image
+ */
+function recordImage(fileName, options) {
+    if (options === undefined) {
+        options = {};
+    }
+
+    if (!options.database) {
+        throw new errors.DatabaseError('a database file is required to record the image in');
+    }
+
+    const logger = getLogger(options);
+
+    if (fs.existsSync(options.database)) {
+        loadDatabase(options.database);
+    }
+
+    const buffer = fs.readFileSync(fileName);
+    const report = verifyFirmware(buffer, {encoding: options.encoding});
+    const errorProblems = report.problems.filter(problem => problem.severity === 'error');
+
+    if (errorProblems.length > 0) {
+        throw new errors.DatabaseError(`cannot record ${path.basename(fileName)}, it is not intact:`
+            + ` ${errorProblems.map(problem => problem.message).join('; ')}`);
+    }
+
+    const identification = identifyImage(buffer);
+    let rawHeader = null;
+    let header = null;
+
+    parseSections(buffer, (sectionNumber, sectionRawHeader, parsedHeader) => {
+        if (sectionNumber === 0) {
+            rawHeader = sectionRawHeader;
+            header = parsedHeader;
+        }
+    }, {verifyChecksums: false});
+
+    const knownImage = findImage(header);
+    const name = options.name || (knownImage && knownImage.name);
+
+    if (!name) {
+        throw new errors.DatabaseError(`${header.deviceId} ${header.deviceVersion} ${header.dvr} is not in the`
+            + ` database, --name is required to add it`);
+    }
+    if (knownImage && knownImage.sha256 && knownImage.sha256 !== identification.sha256 && !options.force) {
+        throw new errors.DatabaseError(`other hashes are recorded for ${knownImage.name}, use --force to replace them`);
+    }
+
+    const model = identification.model;
+    const region = model && model.regions ? Object.keys(model.regions).find(regionName => model.regions[regionName]
+        === SectionHeader.parse(rawHeader).get(model.regionHeaderKey)) : undefined;
+    const image = Object.assign({
+        deviceId: header.deviceId,
+        deviceVersion: header.deviceVersion,
+        dvr: header.dvr,
+    }, knownImage, {
+        region: region || (knownImage ? knownImage.region : undefined),
+        name: name,
+        sha256: identification.sha256,
+        sections: identification.sections,
+    });
+
+    saveImage(image, options.database);
+
+    if (!model) {
+        logger.warn(`Unknown device ${header.deviceId}, add a model to the database to name it`);
+    }
+    logger.log(`${knownImage ? 'Updated' : 'Added'} ${image.name} (${image.deviceId} ${image.deviceVersion}`
+        + ` ${image.dvr}) with the hashes of ${image.sections.length} sections in ${options.database}`);
+
+    return image;
+}
+
+/**
+ * Checks the integrity of a firmware file: the LENGTH and SUM of every section, the section ids announced by the
+ * first header, the decompressibility of every compressed subsection, and that data after the last section is
+ * padding. Unlike parseSections, it does not stop at the first problem but collects all of them.
+ * @param buffer firmware file data
+ * @param options.encoding the encoding to decompress the subsections with (default: legacy)
+ * @returns {{valid: boolean, version: Object|null, problems: Array, sections: Array}}
+ */
+function verifyFirmware(buffer, options) {
+    if (options === undefined) {
+        options = {};
+    }
+
+    const encoding = options.encoding || lzss.ENCODING_LEGACY;
+    const report = {
+        valid: true,
+        version: null,
+        problems: [],
+        sections: [],
+    };
+
+    const addProblem = (severity, code, message, location) => {
+        report.problems.push(Object.assign({severity: severity, code: code, message: message}, location));
+        if (severity === 'error') {
+            report.valid = false;
+        }
+    };
+
+    let readPosition = countLeadingSpaces(buffer);
+    let sectionNumber = 0;
+    let expectedSectionIds = null;
+
+    while (readPosition < buffer.length
+    && (expectedSectionIds === null || sectionNumber <= expectedSectionIds.length)) {
+        const headerPosition = readPosition;
+        const rawHeader = buffer.slice(readPosition, readPosition + FW_SECTION_HEADER_LENGTH).toString('ascii').trim();
+        const header = parseHeader(rawHeader);
+        const location = {section: sectionNumber};
+
+        if (header.sectionLength === undefined || isNaN(header.sectionLength)) {
+            // Without a list of expected sections, anything that is not a header is treated as trailing data
+            if (sectionNumber === 0 || expectedSectionIds !== null) {
+                addProblem('error', 'ERR_INVALID_HEADER', `Header has no LENGTH: ${rawHeader}`, location);
+                readPosition = buffer.length;
+            }
+            break;
+        }
+        readPosition += FW_SECTION_HEADER_LENGTH;
+
+        if (sectionNumber === 0) {
+            expectedSectionIds = header.followingSectionIds || null;
+
+            try {
+                const version = identifyVersion(header);
+                report.version = {deviceId: version[0], deviceVersion: version[1], dvr: version[2], name: version[3]};
+            } catch (error) {
+                addProblem('warning', error.code, `Cannot identify firmware: ${error.message}`, location);
+            }
+        } else if (expectedSectionIds !== null && header.sectionId !== expectedSectionIds[sectionNumber - 1]) {
+            addProblem('error', 'ERR_SECTION_ID_MISMATCH',
+                `Section id ${header.sectionId} does not match ${expectedSectionIds[sectionNumber - 1]} announced by the first header`,
+                location);
+        }
+
+        if (header.sectionSum === undefined || isNaN(header.sectionSum)) {
+            addProblem('error', 'ERR_INVALID_HEADER', `Header has no SUM: ${rawHeader}`, location);
+        }
+
+        const data = buffer.slice(readPosition, readPosition + header.sectionLength);
+        readPosition += data.length;
+
+        const sum = calculateChecksum(data);
+        const sectionReport = {
+            number: sectionNumber,
+            id: header.sectionId || null,
+            headerPosition: headerPosition,
+            length: header.sectionLength,
+            actualLength: data.length,
+            sum: header.sectionSum,
+            calculatedSum: sum,
+        };
+        report.sections.push(sectionReport);
+
+        if (data.length < header.sectionLength) {
+            const error = new errors.IncompleteSectionError(header.sectionLength, data.length);
+            addProblem('error', error.code, error.message, location);
+            break;
+        }
+
+        if (sum !== header.sectionSum) {
+            const error = new errors.ChecksumError(header.sectionSum, sum);
+            addProblem('error', error.code, error.message, location);
+        }
+
+        if (sectionNumber === 0) {
+            const subsectionLayout = detectSubsectionLayout(data);
+
+            if (!subsectionLayout.exact) {
+                addProblem('warning', 'ERR_GUESSED_SUBSECTIONS',
+                    `Subsection boundaries cannot be determined from the compressed data and have been guessed`, location);
+            }
+
+            sectionReport.subsections = buildSectionDecompressionMetadata(subsectionLayout.breaks, data.length)
+                .map(([start, end, compressed], index) => {
+                    const subsectionReport = {index: index, start: start, end: end, compressed: compressed};
+
+                    if (compressed) {
+                        try {
+                            const decompressedData = lzss.decompress(data.slice(start, end), {encoding: encoding});
+                            subsectionReport.decompressedLength = decompressedData.length;
+
+                            if (decompressedData.length === 0) {
+                                addProblem('error', 'ERR_DECOMPRESSION_FAILED', `Subsection decompressed to no data`,
+                                    {section: sectionNumber, subsection: index});
+                            }
+                        } catch (error) {
+                            addProblem('error', 'ERR_DECOMPRESSION_FAILED', `Cannot decompress subsection: ${error.message}`,
+                                {section: sectionNumber, subsection: index});
+                        }
+                    }
+
+                    return subsectionReport;
+                });
+        }
+
+        sectionNumber++;
+    }
+
+    if (expectedSectionIds !== null && sectionNumber < expectedSectionIds.length + 1
+        && report.problems.every(problem => problem.code !== 'ERR_INCOMPLETE_SECTION')) {
+        addProblem('error', 'ERR_MISSING_SECTION',
+            `Missing sections: ${expectedSectionIds.slice(Math.max(0, sectionNumber - 1)).join(' ')}`, {});
+    }
+
+    // Anything after the last section must be padding
+    const trailingData = buffer.slice(readPosition);
+    report.trailingLength = trailingData.length;
+    for (let i = 0; i < trailingData.length; i++) {
+        if (trailingData[i] !== 0x00 && trailingData[i] !== 0xFF) {
+            addProblem('error', 'ERR_TRAILING_DATA',
+                `${trailingData.length} bytes of trailing data at position ${readPosition} are not padding`, {});
+            break;
+        }
+    }
+
+    return report;
+}
+
+/**
+ * Verifies the integrity of a firmware file and prints a report, see verifyFirmware.
+ * @param fileName
+ * @param options.encoding
+ * @param options.logger
+ * @returns {Object} the report
+ */
+function verify(fileName, options) {
+    if (options === undefined) {
+        options = {};
+    }
+
+    const logger = getLogger(options);
+    const report = Object.assign({filename: path.basename(fileName)}, verifyFirmware(fs.readFileSync(fileName), options));
+
+    const formatLocation = (problem) => {
+        if (problem.subsection !== undefined) {
+            return `section ${problem.section}.${problem.subsection}`;
+        }
+        return problem.section !== undefined ? `section ${problem.section}` : 'file';
+    };
+
+    report.sections.forEach(section => {
+        const sectionProblems = report.problems.filter(problem => problem.section === section.number);
+        logger.log(`Section ${section.number}${section.id ? ` (${section.id})` : ''}: ${section.length} bytes, `
+            + `${section.subsections ? `${section.subsections.length} subsections, ` : ''}`
+            + `${sectionProblems.length === 0 ? 'ok' : `${sectionProblems.length} problem(s)`}`);
+    });
+    if (report.trailingLength > 0) {
+        logger.log(`Trailing data: ${report.trailingLength} bytes`);
+    }
+
+    const errorCount = report.problems.filter(problem => problem.severity === 'error').length;
+    const warningCount = report.problems.length - errorCount;
+
+    if (report.problems.length > 0) {
+        logger.log();
+        logger.log(`Problems:`);
+        report.problems.forEach(problem => {
+            logger.log(` ${S(problem.severity.toUpperCase()).padRight(8).s}${formatLocation(problem)}: ${problem.message}`);
+        });
+    }
+
+    logger.log();
+    logger.log(`Verification ${report.valid ? 'passed' : 'FAILED'} (${errorCount} errors, ${warningCount} warnings)`);
+
+    return report;
+}
+
+/**
+ * Reads the sections of a firmware file for diff, with the decompressed subsections of section 0.
+ * @param fileName
+ * @param options.encoding
+ * @returns {Array} the sections with number, id, header, sum, data and subsections with index and data
+ */
+function readDiffSections(fileName, options) {
+    const sections = [];
+
+    readSections(fileName, (sectionNumber, rawHeader, parsedHeader, version, data) => {
+        const section = {
+            number: sectionNumber,
+            id: parsedHeader.sectionId || null,
+            header: parsedHeader,
+            sum: calculateChecksum(data),
+            data: data,
+            subsections: [],
+        };
+
+        if (sectionNumber === 0 && version) {
+            readSubsections(data, (index, start, subsectionData, processedSubsectionData) => {
+                section.subsections.push({index: index, data: processedSubsectionData});
+            }, {encoding: options.encoding});
+        }
+
+        sections.push(section);
+    }, {verifyChecksums: false});
+
+    return sections;
+}
+
+/**
+ * Compares two firmware files: their headers field by field, the length and checksum of every section, and the data
+ * of every section, or of the decompressed subsections for section 0.
+ * @param fileNameA
+ * @param fileNameB
+ * @param options.encoding
+ * @returns {{identical: boolean, sections: Array}} whether the files are identical, and the comparison of every section
+ * with the changed header fields, and the changed byte ranges and strings of the data
+ */
+function compareFirmware(fileNameA, fileNameB, options) {
+    if (options === undefined) {
+        options = {};
+    }
+
+    return compareDiffSections(readDiffSections(fileNameA, options), readDiffSections(fileNameB, options));
+}
+
+/**
+ * Compares the sections of two firmware files, see compareFirmware.
+ * @param sectionsA the sections of the first file, see readDiffSections
+ * @param sectionsB the sections of the second file
+ * @returns {{identical: boolean, sections: Array}}
+ */
+function compareDiffSections(sectionsA, sectionsB) {
+    const compareData = (a, b) => {
+        const changedRanges = diffs.findChangedRanges(a, b);
+
+        return {
+            lengthA: a.length,
+            lengthB: b.length,
+            changedRanges: changedRanges,
+            changedBytes: changedRanges.reduce((sum, range) => sum + range.end - range.start, 0),
+            strings: changedRanges.length > 0 ? diffs.diffStrings(a, b) : {removed: [], added: []},
+        };
+    };
+
+    const sections = [];
+    for (let i = 0; i < Math.max(sectionsA.length, sectionsB.length); i++) {
+        const a = sectionsA[i];
+        const b = sectionsB[i];
+
+        if (!a || !b) {
+            sections.push({number: i, id: (a || b).id, missingIn: a ? 'B' : 'A'});
+            continue;
+        }
+
+        const headerFields = Object.keys(Object.assign({}, a.header, b.header))
+            .filter(field => JSON.stringify(a.header[field]) !== JSON.stringify(b.header[field]))
+            .map(field => ({field: field, a: a.header[field], b: b.header[field]}));
+
+        const section = {
+            number: i,
+            id: a.id === b.id ? a.id : `${a.id} / ${b.id}`,
+            headerFields: headerFields,
+            sumA: a.sum,
+            sumB: b.sum,
+        };
+
+        if (a.subsections.length > 0 && b.subsections.length > 0) {
+            section.subsections = [];
+            for (let j = 0; j < Math.max(a.subsections.length, b.subsections.length); j++) {
+                const dataA = a.subsections[j] ? a.subsections[j].data : Buffer.alloc(0);
+                const dataB = b.subsections[j] ? b.subsections[j].data : Buffer.alloc(0);
+                section.subsections.push(Object.assign({index: j}, compareData(dataA, dataB)));
+            }
+        } else {
+            Object.assign(section, compareData(a.data, b.data));
+        }
+
+        sections.push(section);
+    }
+
+    const isIdentical = (comparison) => !comparison.changedRanges || comparison.changedRanges.length === 0;
+    const identical = sections.every(section => !section.missingIn && section.headerFields.length === 0
+        && section.sumA === section.sumB && isIdentical(section)
+        && (!section.subsections || section.subsections.every(isIdentical)));
+
+    return {identical: identical, sections: sections};
+}
+
+/**
+ * Prints the differences between two firmware files, see compareFirmware.
+ * @param fileNameA
+ * @param fileNameB
+ * @param options.encoding
+ * @param options.context print a hexdump of the changed ranges of both files with this number of bytes around them
+ * @param options.logger
+ * @returns {Object} the comparison
+ */
+function diff(fileNameA, fileNameB, options) {
+    if (options === undefined) {
+        options = {};
+    }
+
+    const logger = getLogger(options);
+    // The sections are kept for the hexdumps, so that the subsections are decompressed only once
+    const sectionsA = readDiffSections(fileNameA, options);
+    const sectionsB = readDiffSections(fileNameB, options);
+    const comparison = Object.assign({fileA: path.basename(fileNameA), fileB: path.basename(fileNameB)},
+        compareDiffSections(sectionsA, sectionsB));
+
+    const logDataComparison = (name, dataComparison, getData) => {
+        if (dataComparison.changedRanges.length === 0) {
+            logger.log(`${name}: identical (${dataComparison.lengthA} bytes)`);
+            return;
+        }
+
+        logger.log(`${name}: length ${dataComparison.lengthA} -> ${dataComparison.lengthB},`
+            + ` ${dataComparison.changedRanges.length} changed ranges (${dataComparison.changedBytes} bytes)`);
+
+        dataComparison.changedRanges.slice(0, DIFF_MAX_PRINTED_RANGES).forEach(range => {
+            logger.log(`  ${range.start}-${range.end} (${range.end - range.start} bytes)`);
+
+            if (options.context) {
+                const [dataA, dataB] = getData();
+                const start = range.start - options.context;
+                const end = Math.min(range.end, range.start + DIFF_MAX_HEXDUMP_LENGTH) + options.context;
+                diffs.hexdump(dataA, start, end).forEach(line => logger.log(`    - ${line}`));
+                diffs.hexdump(dataB, start, end).forEach(line => logger.log(`    + ${line}`));
+            }
+        });
+        if (dataComparison.changedRanges.length > DIFF_MAX_PRINTED_RANGES) {
+            logger.log(`  ... ${dataComparison.changedRanges.length - DIFF_MAX_PRINTED_RANGES} more ranges`);
+        }
+
+        [['removed', '-'], ['added', '+']].forEach(([change, sign]) => {
+            const texts = dataComparison.strings[change];
+            if (texts.length > 0) {
+                logger.log(`  Strings ${change}: ${texts.length}`);
+                texts.slice(0, DIFF_MAX_PRINTED_STRINGS).forEach(text => logger.log(`    ${sign} ${JSON.stringify(text)}`));
+                if (texts.length > DIFF_MAX_PRINTED_STRINGS) {
+                    logger.log(`    ... ${texts.length - DIFF_MAX_PRINTED_STRINGS} more`);
+                }
+            }
+        });
+    };
+
+    logger.log(`Comparing ${comparison.fileA} (A) with ${comparison.fileB} (B)`);
+
+    comparison.sections.forEach((section, sectionIndex) => {
+        const name = `Section ${section.number}${section.id ? ` (${section.id})` : ''}`;
+        logger.log();
+
+        if (section.missingIn) {
+            logger.log(`${name}: missing in ${section.missingIn}`);
+            return;
+        }
+
+        section.headerFields.forEach(field => {
+            logger.log(`${name} header ${field.field}: ${JSON.stringify(field.a)} -> ${JSON.stringify(field.b)}`);
+        });
+        if (section.sumA !== section.sumB) {
+            logger.log(`${name} checksum: ${section.sumA} -> ${section.sumB}`);
+        }
+
+        if (section.subsections) {
+            section.subsections.forEach(subsection => {
+                logDataComparison(`Subsection ${section.number}.${subsection.index}`, subsection, () => [
+                    (sectionsA[sectionIndex].subsections[subsection.index] || {data: Buffer.alloc(0)}).data,
+                    (sectionsB[sectionIndex].subsections[subsection.index] || {data: Buffer.alloc(0)}).data,
+                ]);
+            });
+        } else {
+            logDataComparison(name, section, () => [sectionsA[sectionIndex].data, sectionsB[sectionIndex].data]);
+        }
+    });
+
+    return comparison;
+}
+
+/**
+ * Finds the printable strings in all sections of a firmware file, and in the decompressed data of the compressed
+ * subsections of section 0.
+ * @param buffer firmware file data
+ * @param options.encoding the encoding to decompress the subsections with (default: legacy)
+ * @param options.charset ascii (default), utf16le or utf16be
+ * @param options.minLength the minimum length of a string in characters (default: 4)
+ * @param options.match regular expressions, a string is reported if it matches any of them (default: all strings)
+ * @param options.exclude regular expressions, a string is not reported if it matches any of them
+ * @returns {Array} the strings with section number, section id, subsection index (null if the section is not split),
+ * offset in the section or decompressed subsection, offset in the file (null in decompressed data), memory address
+ * (null if the section has no OFFSET or the data is decompressed) and text
+ */
+function findStrings(buffer, options) {
+    if (options === undefined) {
+        options = {};
+    }
+
+    const encoding = options.encoding || lzss.ENCODING_LEGACY;
+    const match = options.match || [];
+    const exclude = options.exclude || [];
+    const found = [];
+
+    const isReported = (text) => (match.length === 0 || match.some(regex => regex.test(text)))
+        && !exclude.some(regex => regex.test(text));
+
+    // Collects the strings of a part of a section, the positions are null for decompressed data
+    const collect = (data, section, subsection, filePosition, address) => {
+        extractStrings(data, options).filter(string => isReported(string.text)).forEach(string => {
+            found.push({
+                section: section.number,
+                id: section.id,
+                subsection: subsection,
+                offset: string.offset,
+                fileOffset: filePosition === null ? null : filePosition + string.offset,
+                address: address === null ? null : address + string.offset,
+                text: string.text,
+            });
+        });
+    };
+
+    parseSections(buffer, (sectionNumber, rawHeader, parsedHeader, version, data, headerPosition) => {
+        const section = {number: sectionNumber, id: parsedHeader.sectionId || null};
+        const bodyPosition = headerPosition + FW_SECTION_HEADER_LENGTH;
+        const address = parsedHeader.sectionOffset !== undefined ? parsedHeader.sectionOffset : null;
+
+        if (sectionNumber === 0 && version) {
+            readSubsections(data, (index, start, subsectionData, processedSubsectionData, compressed) => {
+                if (compressed) {
+                    collect(processedSubsectionData, section, index, null, null);
+                } else {
+                    collect(subsectionData, section, index, bodyPosition + start,
+                        address === null ? null : address + start);
+                }
+            }, {encoding: encoding});
+        } else {
+            collect(data, section, null, bodyPosition, address);
+        }
+    }, {verifyChecksums: false});
+
+    return found;
+}
+
+/**
+ * Prints the strings of a firmware file, see findStrings.
+ * @param fileName
+ * @param options see findStrings
+ * @param options.logger
+ * @returns {{filename: string, strings: Array}}
+ */
+function strings(fileName, options) {
+    if (options === undefined) {
+        options = {};
+    }
+
+    const logger = getLogger(options);
+    const result = {
+        filename: path.basename(fileName),
+        strings: findStrings(fs.readFileSync(fileName), options),
+    };
+
+    const formatPosition = (value) => value === null ? '-' : formatHex(value);
+    const row = (columns) => columns.map(([value, width]) => S(value).padRight(width).s).join(' ');
+
+    logger.log(row([['Location', 10], ['Offset', 10], ['File', 10], ['Address', 10]]) + ' Text');
+    result.strings.forEach(string => {
+        const location = `${string.section}${string.subsection !== null ? `.${string.subsection}` : ''}`
+            + `${string.id ? ` ${string.id}` : ''}`;
+        logger.log(row([[location, 10], [formatHex(string.offset), 10], [formatPosition(string.fileOffset), 10],
+            [formatPosition(string.address), 10]]) + ` ${JSON.stringify(string.text)}`);
+    });
+    logger.log();
+    logger.log(`${result.strings.length} strings found`);
+
+    return result;
+}
+
+/**
+ * Extracts the catalogue of the Wi-Fi HTTP commands from the decompressed subsections of section 0, see wifi.js.
+ * @param buffer firmware file data
+ * @param options.encoding the encoding to decompress the subsections with (default: legacy)
+ * @returns {{version: Object|null, table: Object|null, commands: Array}} the firmware version, the location of the
+ * command table (section, subsection and offset in the decompressed data), and the sorted command names
+ */
+function getCommandCatalogue(buffer, options) {
+    if (options === undefined) {
+        options = {};
+    }
+
+    const encoding = options.encoding || lzss.ENCODING_LEGACY;
+    const tables = [];
+    let firmwareVersion = null;
+
+    parseSections(buffer, (sectionNumber, rawHeader, parsedHeader, version, data) => {
+        if (sectionNumber !== 0 || !version) {
+            return;
+        }
+
+        firmwareVersion = {deviceId: version[0], deviceVersion: version[1], dvr: version[2], name: version[3]};
+        readSubsections(data, (index, start, subsectionData, processedSubsectionData, compressed) => {
+            if (compressed) {
+                wifi.findCommandTables(processedSubsectionData).forEach(table => {
+                    tables.push(Object.assign({section: sectionNumber, subsection: index}, table));
+                });
+            }
+        }, {encoding: encoding});
+    }, {verifyChecksums: false});
+
+    const table = wifi.selectCommandTable(tables);
+
+    return {
+        version: firmwareVersion,
+        table: table ? {section: table.section, subsection: table.subsection, offset: table.offset} : null,
+        commands: table ? Array.from(new Set(table.names.map(name => name.text))).sort() : [],
+    };
+}
+
+/**
+ * Prints the catalogue of the Wi-Fi HTTP commands of a firmware file, see getCommandCatalogue.
+ * @param fileName
+ * @param options.encoding
+ * @param options.logger
+ * @returns {Object} the catalogue
+ */
+function wifiCommands(fileName, options) {
+    const logger = getLogger(options);
+    const catalogue = Object.assign({filename: path.basename(fileName)},
+        getCommandCatalogue(fs.readFileSync(fileName), options));
+
+    if (!catalogue.table) {
+        logger.warn(`No command table found`);
+        return catalogue;
+    }
+
+    logger.log(`Command table in subsection ${catalogue.table.section}.${catalogue.table.subsection}`
+        + ` at offset ${formatHex(catalogue.table.offset)}:`);
+    catalogue.commands.forEach(command => logger.log(`  ${command}`));
+    logger.log(`${catalogue.commands.length} commands`);
+
+    return catalogue;
+}
+
+/**
+ * Returns the name of a part of a firmware that is loaded into memory.
+ * @param sectionNumber
+ * @param parsedHeader
+ * @param subsectionIndex the index of the subsection, undefined if the section is not split
+ * @returns {string} sub<section>.<index> for subsections, else the section id or section<number>
+ */
+function getPartName(sectionNumber, parsedHeader, subsectionIndex) {
+    if (subsectionIndex !== undefined) {
+        return `sub${sectionNumber}.${subsectionIndex}`;
+    }
+    return parsedHeader.sectionId || `section${sectionNumber}`;
+}
+
+/**
+ * Resolves the load addresses of the parts of a firmware, which are taken from options.addresses, the header OFFSET,
+ * or the loadAddresses of the firmware image in the database, in this order.
+ * @param parts the parts with name and headerAddress
+ * @param image the firmware image from the database, or null
+ * @param addresses load addresses by part name
+ * @returns {Array} the parts with address and addressSource (option, header or database), which are undefined if the
+ * address is unknown
+ */
+function resolveLoadAddresses(parts, image, addresses) {
+    const loadAddresses = (image && image.loadAddresses) || {};
+
+    return parts.map(part => {
+        const sources = [
+            ['option', (addresses || {})[part.name]],
+            ['header', part.headerAddress],
+            ['database', loadAddresses[part.name]],
+        ].filter(([source, address]) => address !== undefined);
+        const address = sources.length > 0 ? Number(sources[0][1]) : undefined;
+
+        if (address !== undefined && (!Number.isInteger(address) || address < 0)) {
+            throw new errors.LayoutError(`invalid load address ${sources[0][1]} of ${part.name}`);
+        }
+
+        return Object.assign({}, part, {
+            address: address,
+            addressSource: sources.length > 0 ? sources[0][0] : undefined,
+        });
+    });
+}
+
+/**
+ * Returns the memory regions of the parts with a load address.
+ * @param parts the parts with name, address, addressSource and length
+ * @returns {Array} the regions with name, start, end (exclusive) and source
+ */
+function getMemoryRegions(parts) {
+    return parts
+        .filter(part => part.address !== undefined)
+        .map(part => ({
+            name: part.name,
+            start: part.address,
+            end: part.address + part.length,
+            source: part.addressSource,
+        }));
+}
+
+/**
+ * Reads the parts of a firmware file that are loaded into memory: the subsections of section 0 (decompressed if they
+ * are compressed), named sub0.<index>, and the other sections, named by their id. See resolveLoadAddresses for their
+ * load addresses.
+ * @param fileName
+ * @param options.encoding the encoding to decompress the subsections with (default: legacy)
+ * @param options.addresses load addresses by part name
+ * @returns {Array} the parts with name, section, subsection (undefined if the section is not split), section id,
+ * data, length, address and addressSource
+ */
+function readLoadableParts(fileName, options) {
+    if (options === undefined) {
+        options = {};
+    }
+
+    const encoding = options.encoding || lzss.ENCODING_LEGACY;
+    const parts = [];
+    let image = null;
+
+    readSections(fileName, (sectionNumber, rawHeader, parsedHeader, version, data) => {
+        const offset = parsedHeader.sectionOffset;
+
+        if (sectionNumber === 0) {
+            image = findImage(parsedHeader);
+        }
+
+        if (sectionNumber === 0 && version) {
+            readSubsections(data, (index, start, subsectionData, processedSubsectionData, compressed) => {
+                const partData = compressed ? processedSubsectionData : subsectionData;
+                parts.push({
+                    name: getPartName(sectionNumber, parsedHeader, index),
+                    section: sectionNumber,
+                    subsection: index,
+                    id: parsedHeader.sectionId,
+                    data: partData,
+                    length: partData.length,
+                    headerAddress: offset !== undefined && !compressed ? offset + start : undefined,
+                });
+            }, {encoding: encoding});
+        } else {
+            parts.push({
+                name: getPartName(sectionNumber, parsedHeader),
+                section: sectionNumber,
+                id: parsedHeader.sectionId,
+                data: data,
+                length: data.length,
+                headerAddress: offset,
+            });
+        }
+    }, {verifyChecksums: false});
+
+    return resolveLoadAddresses(parts, image, options.addresses);
+}
+
+/**
+ * Exports the subsections of section 0, the IPL and the ND1 section into an ARM ELF file for disassemblers. Every
+ * part becomes a segment at its load address (see readLoadableParts), and every string of at least 6 characters a
+ * symbol. Parts without a load address are placed after all others.
+ * @param fileName
+ * @param targetDirectory
+ * @param options.encoding the encoding to decompress the subsections with (default: legacy)
+ * @param options.addresses load addresses by part name
+ * @param options.logger
+ * @returns {{filename: string, segments: Array, symbolCount: number}}
+ */
+function exportElf(fileName, targetDirectory, options) {
+    if (options === undefined) {
+        options = {};
+    }
+
+    const logger = getLogger(options);
+    const parts = readLoadableParts(fileName, options)
+        .filter(part => part.subsection !== undefined || part.id === FW_IPL_SECTION_ID || part.id === nd1.ND1_ID);
+
+    // Place the parts without a load address after all others
+    let nextAddress = parts.filter(part => part.address !== undefined)
+        .reduce((end, part) => Math.max(end, part.address + part.data.length), 0);
+    parts.filter(part => part.address === undefined).forEach(part => {
+        part.address = nextAddress + (ELF_AUTO_ADDRESS_ALIGNMENT - nextAddress % ELF_AUTO_ADDRESS_ALIGNMENT)
+            % ELF_AUTO_ADDRESS_ALIGNMENT;
+        nextAddress = part.address + part.data.length;
+        logger.warn(`No load address known for ${part.name}, placed at ${formatHex(part.address)}`);
+    });
+
+    const overlaps = layout.findOverlaps(getMemoryRegions(parts));
+    if (overlaps.length > 0) {
+        throw new errors.ElfError(overlaps.map(([a, b]) => `${a.name} overlaps ${b.name}`).join(', '));
+    }
+
+    const symbols = [];
+    parts.forEach(part => {
+        extractStrings(part.data, {minLength: ELF_SYMBOL_MIN_STRING_LENGTH}).forEach(string => {
+            const address = part.address + string.offset;
+            const label = string.text.replace(/[^A-Za-z0-9]+/g, '_').slice(0, ELF_SYMBOL_MAX_NAME_LENGTH);
+            symbols.push({
+                name: `str_${label}_${address.toString(16)}`,
+                address: address,
+                // Including the NUL terminator, unless the string ends at the end of the part
+                size: Math.min(string.text.length + 1, part.data.length - string.offset),
+            });
+        });
+
+        const commandTable = wifi.selectCommandTable(wifi.findCommandTables(part.data));
+        if (commandTable) {
+            symbols.push({name: 'wifi_command_table', address: part.address + commandTable.offset, size: 0});
+        }
+    });
+
+    const targetFileName = path.join(targetDirectory, path.basename(fileName) + ELF_FILE_EXTENSION);
+    const executableParts = parts.map(part => Object.assign({executable: part.name !== nd1.ND1_ID}, part));
+    fs.writeFileSync(targetFileName, elf.writeElf(executableParts, symbols));
+
+    parts.forEach(part => {
+        logger.log(`${S(part.name).padRight(8).s} ${formatHex(part.address)}-`
+            + `${formatHex(part.address + part.data.length)} (${part.data.length} bytes)`);
+    });
+    logger.log(`Wrote ${targetFileName} with ${parts.length} segments and ${symbols.length} symbols`);
+
+    return {
+        filename: targetFileName,
+        segments: parts.map(part => ({name: part.name, address: part.address, length: part.data.length})),
+        symbolCount: symbols.length,
+    };
+}
+
+/**
+ * Parses a firmware file into its headers and bodies, and splits and decompresses the subsections of section 0,
+ * without writing any files.
+ * @param buffer firmware file data
+ * @param options.encoding the encoding to decompress the subsections with (default: legacy)
+ * @param options.logger
+ * @returns {{leadingSpaces: number, encoding: string, version: Object|null, sections: Array}}
+ */
+function parse(buffer, options) {
+    if (options === undefined) {
+        options = {};
+    }
+
+    const firmware = {
+        leadingSpaces: countLeadingSpaces(buffer),
+        encoding: options.encoding || lzss.ENCODING_LEGACY,
+        version: null,
+        sections: [],
+    };
+
+    parseSections(buffer, (sectionNumber, rawHeader, parsedHeader, version, data) => {
+        if (version) {
+            firmware.version = {
+                deviceId: version[0],
+                deviceVersion: version[1],
+                dvr: version[2],
+                name: version[3],
+            };
+        }
+
+        const section = {
+            number: sectionNumber,
+            rawHeader: rawHeader,
+            header: parsedHeader,
+            data: data,
+            subsections: [],
+        };
+
+        // Split first section into subsections
+        if (sectionNumber === 0 && version) {
+            readSubsections(data, (index, start, subsectionData, processedSubsectionData, compressed) => {
+                section.subsections.push({
+                    index: index,
+                    offset: start,
+                    compressed: compressed,
+                    data: subsectionData,
+                    decompressedData: compressed ? processedSubsectionData : undefined,
+                });
+            }, {encoding: firmware.encoding, logger: options.logger});
+        }
+
+        firmware.sections.push(section);
+    }, options);
+
+    return firmware;
+}
+
+/**
+ * Serializes a subsection. Compressed subsections whose decompressed data has been changed are recompressed, all
+ * others are written as they are.
+ */
+function serializeSubsection(subsection, encoding, options) {
+    const logger = getLogger(options);
+
+    if (!subsection.compressed || !subsection.decompressedData) {
+        return subsection.data;
+    }
+
+    const encodingOptions = {encoding: encoding, logger: options.logger};
+
+    if (lzss.decompress(subsection.data, encodingOptions).equals(subsection.decompressedData)) {
+        return subsection.data;
+    }
+
+    logger.log(`Compressing subsection ${subsection.index}...`);
+    return padSubsection(lzss.compress(subsection.decompressedData, encodingOptions));
+}
+
+/**
+ * Serializes a firmware object as returned by parse into a firmware file. The LENGTH and SUM of the headers are
+ * updated to the section data; the section data of section 0 is built from its subsections.
+ * @param firmware
+ * @param options.logger
+ * @returns {Buffer}
+ */
+function serialize(firmware, options) {
+    if (options === undefined) {
+        options = {};
+    }
+
+    const encoding = firmware.encoding || lzss.ENCODING_LEGACY;
+    const outputBuffers = [Buffer.alloc(firmware.leadingSpaces || 0, ' ')];
+
+    firmware.sections.forEach(section => {
+        let sectionData = section.data;
+
+        if (section.subsections && section.subsections.length > 0) {
+            sectionData = Buffer.concat(section.subsections
+                .map(subsection => serializeSubsection(subsection, encoding, options)));
+        }
+
+        outputBuffers.push(prepareHeader(updateRawHeader(section.rawHeader, sectionData)));
+        outputBuffers.push(sectionData);
+    });
+
+    return Buffer.concat(outputBuffers);
+}
+
+/**
+ * Places the parts of a firmware (see readLoadableParts) at their load addresses in a flat image, which starts at the
+ * lowest address and is written as sparse file, and writes the layout of the image as JSON. Parts without a load
+ * address are not placed. Overlapping parts are reported, and later parts overwrite earlier parts in the image.
+ * @param fileName
+ * @param targetDirectory
+ * @param options.encoding
+ * @param options.addresses load addresses by part name
+ * @returns {Object} the layout with the image file name, base and end address, regions, unplaced parts, overlaps
+ * and gaps
+ */
+function memmap(fileName, targetDirectory, options) {
+    if (options === undefined) {
+        options = {};
+    }
+
+    const logger = getLogger(options);
+    const parts = readLoadableParts(fileName, options);
+    const placedParts = parts.filter(part => part.address !== undefined);
+    const regions = getMemoryRegions(parts).sort((a, b) => a.start - b.start);
+
+    if (regions.length === 0) {
+        throw new errors.LayoutError('no load address is known for any part, see --address');
+    }
+
+    const base = regions[0].start;
+    const end = regions.reduce((regionsEnd, region) => Math.max(regionsEnd, region.end), base);
+    const imageFileName = path.join(targetDirectory, path.basename(fileName) + MEMMAP_IMAGE_FILE_EXTENSION);
+    const layoutFileName = path.join(targetDirectory, path.basename(fileName) + MEMMAP_LAYOUT_FILE_EXTENSION);
+
+    // Write only the parts so that the gaps between them remain holes in the file
+    const fd = fs.openSync(imageFileName, 'w');
+    try {
+        placedParts.forEach(part => fs.writeSync(fd, part.data, 0, part.data.length, part.address - base));
+        fs.ftruncateSync(fd, end - base);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    const memoryLayout = {
+        filename: path.basename(fileName),
+        image: path.basename(imageFileName),
+        base: base,
+        end: end,
+        regions: regions.map(region => Object.assign({}, region, {length: region.end - region.start})),
+        unplaced: parts.filter(part => part.address === undefined).map(part => part.name),
+        overlaps: layout.findOverlaps(regions).map(([a, b]) => ({
+            first: a.name,
+            second: b.name,
+            start: b.start,
+            end: Math.min(a.end, b.end),
+        })),
+        gaps: layout.findGaps(regions),
+    };
+    fs.writeFileSync(layoutFileName, JSON.stringify(memoryLayout, null, 2));
+
+    memoryLayout.regions.forEach(region => {
+        logger.log(`${S(region.name).padRight(8).s} ${formatHex(region.start)}-${formatHex(region.end)}`
+            + ` (${region.length} bytes, address from ${region.source})`);
+    });
+    memoryLayout.unplaced.forEach(name => {
+        logger.warn(`No load address known for ${name}, not placed`);
+    });
+    memoryLayout.gaps.forEach(gap => {
+        logger.log(`Gap ${formatHex(gap.start)}-${formatHex(gap.end)} (${gap.end - gap.start} bytes)`
+            + ` between ${gap.previous} and ${gap.next}`);
+    });
+    memoryLayout.overlaps.forEach(overlap => {
+        logger.warn(`${overlap.first} overlaps ${overlap.second} at ${formatHex(overlap.start)}-`
+            + `${formatHex(overlap.end)}`);
+    });
+    logger.log(`Wrote ${imageFileName} (${formatHex(base)}-${formatHex(end)}) and ${layoutFileName}`);
 
-    console.log(`Finished!`);
+    return memoryLayout;
 }
 
+exports.parse = parse;
+exports.serialize = serialize;
+exports.parseSections = parseSections;
+exports.readSections = readSections;
+exports.parseHeader = parseHeader;
+exports.SectionHeader = SectionHeader;
+exports.identifyVersion = identifyVersion;
+exports.identifyImage = identifyImage;
+exports.loadDatabase = loadDatabase;
+exports.calculateChecksum = calculateChecksum;
+exports.detectSectionBreaks = detectSectionBreaks;
+exports.readSubsections = readSubsections;
+exports.unpackSection = unpackSection;
+exports.errors = errors;
+exports.parsePartitionTable = ptbl.parsePartitionTable;
+exports.writePartitionTable = ptbl.writePartitionTable;
+exports.getInfo = getInfo;
+exports.info = info;
+exports.recordImage = recordImage;
+exports.verifyFirmware = verifyFirmware;
+exports.verify = verify;
+exports.compareFirmware = compareFirmware;
+exports.diff = diff;
+exports.findStrings = findStrings;
+exports.strings = strings;
+exports.getCommandCatalogue = getCommandCatalogue;
+exports.wifiCommands = wifiCommands;
+exports.exportElf = exportElf;
+exports.memmap = memmap;
 exports.unpack = unpack;
 exports.flipRegion = flipRegion;
+exports.exportStrings = exportStrings;
+exports.importStrings = importStrings;
 exports.test = test;
+exports.trace = trace;
 exports.repack = repack;
+exports.applyPatchFile = applyPatchFile;
+exports.create = create;
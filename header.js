@@ -0,0 +1,88 @@
+/*
+ * YI Mirrorless Firmware Tools
+ * Author: Mario Guggenberger <mg@protyposis.net>
+ * Licensed under the GPLv3
+ */
+'use strict';
+
+/**
+ * A section header as ordered tokens, which are either KEY=value fields or plain words (the section id, the device id
+ * and the list of following section ids). The whitespace before every token is kept, so an unmodified header is
+ * serialized exactly as it has been parsed.
+ */
+class SectionHeader {
+    constructor(tokens, trailingWhitespace) {
+        this.tokens = tokens;
+        this.trailingWhitespace = trailingWhitespace || '';
+    }
+
+    /**
+     * Parses a raw header string, e.g. "ND1 LENGTH=4197888 C59Y1 VER=M1INT DVR=Ver1.37 SUM=299791776 OFFSET=23068672".
+     * @param rawHeader
+     * @returns {SectionHeader}
+     */
+    static parse(rawHeader) {
+        const tokens = [];
+        const tokenPattern = /(\s*)(\S+)/g;
+        let match;
+        let end = 0;
+
+        while ((match = tokenPattern.exec(rawHeader)) !== null) {
+            const separatorIndex = match[2].indexOf('=');
+
+            tokens.push({
+                whitespace: match[1],
+                key: separatorIndex === -1 ? null : match[2].slice(0, separatorIndex),
+                value: separatorIndex === -1 ? match[2] : match[2].slice(separatorIndex + 1),
+            });
+            end = tokenPattern.lastIndex;
+        }
+
+        return new SectionHeader(tokens, rawHeader.slice(end));
+    }
+
+    /**
+     * Returns the value of the first field with the key, or undefined if there is none.
+     */
+    get(key) {
+        const token = this.tokens.find(token => token.key === key);
+        return token ? token.value : undefined;
+    }
+
+    /**
+     * Returns the values of all fields with the key.
+     */
+    getAll(key) {
+        return this.tokens.filter(token => token.key === key).map(token => token.value);
+    }
+
+    /**
+     * Returns the plain words in their order.
+     */
+    getWords() {
+        return this.tokens.filter(token => token.key === null).map(token => token.value);
+    }
+
+    /**
+     * Sets the value of all fields with the key, or appends a new field if there is none.
+     */
+    set(key, value) {
+        const tokens = this.tokens.filter(token => token.key === key);
+
+        if (tokens.length === 0) {
+            this.tokens.push({whitespace: ' ', key: key, value: `${value}`});
+        } else {
+            tokens.forEach(token => token.value = `${value}`);
+        }
+
+        return this;
+    }
+
+    toString() {
+        return this.tokens
+            .map(token => token.whitespace + (token.key === null ? token.value : `${token.key}=${token.value}`))
+            .join('') + this.trailingWhitespace;
+    }
+}
+
+exports.SectionHeader = SectionHeader;
@@ -5,45 +5,614 @@
  */
 'use strict';
 
+const fs = require('fs');
 const path = require('path');
+const S = require('string');
 const firmware = require('./firmware');
+const workers = require('./workers');
+const traces = require('./trace');
+const {createClient, DEFAULT_BASE_URL} = require('./client');
+const {FirmwareError} = require('./errors');
+const {createConsoleLogger, LOG_LEVEL_QUIET, LOG_LEVEL_NORMAL, LOG_LEVEL_VERBOSE} = require('./logger');
 
-if (process.argv.length <= 3) {
-    console.log('usage: npm run [unpack|repack|flipregion|test] <inputfile>');
-    console.log(' unpack: unpacks a firmware file into its sections');
-    console.log(' repack: repacks an unpacked firmware into a flashable firmware file');
-    console.log(' flipregion: changes the region of a firmware file between CN and INT');
-    console.log(' test: unpacks and repacks a firmware file and compares input to output to validate everything working correctly');
-    console.error('Arguments missing');
-    return;
+const EXIT_CODE_SUCCESS = 0;
+const EXIT_CODE_FAILURE = 1;
+const EXIT_CODE_USAGE = 2;
+
+/**
+ * An invalid command line, which is reported together with the usage.
+ */
+class UsageError extends Error {
+    constructor(message, command) {
+        super(message);
+        this.command = command;
+    }
+}
+
+const parseNonNegativeInteger = (value, name) => {
+    if (!/^\d+$/.test(value)) {
+        throw new Error(`--${name} requires a non-negative integer, got ${value}`);
+    }
+    return parseInt(value);
+};
+
+const parsePositiveInteger = (value, name) => {
+    if (!/^[1-9]\d*$/.test(value)) {
+        throw new Error(`--${name} requires a positive integer, got ${value}`);
+    }
+    return parseInt(value);
+};
+
+const parseJsonObject = (value, name) => {
+    let object;
+    try {
+        object = JSON.parse(value);
+    } catch (error) {
+        throw new Error(`--${name} requires a JSON object: ${error.message}`);
+    }
+    if (!object || typeof object !== 'object' || Array.isArray(object)) {
+        throw new Error(`--${name} requires a JSON object, got ${value}`);
+    }
+    return object;
+};
+
+const parseAddress = (value, name) => {
+    const separatorIndex = value.indexOf('=');
+    const address = Number(value.slice(separatorIndex + 1));
+
+    if (separatorIndex < 1 || !Number.isInteger(address) || address < 0) {
+        throw new Error(`--${name} requires <part>=<address>, e.g. sub0.2=0x80000000, got ${value}`);
+    }
+    return {[value.slice(0, separatorIndex)]: address};
+};
+
+const parseRegExp = (value, name) => {
+    try {
+        return new RegExp(value);
+    } catch (error) {
+        throw new Error(`--${name} requires a regular expression: ${error.message}`);
+    }
+};
+
+/**
+ * The command line options. Options with an argument take the next command line argument as value, options that can
+ * be given multiple times collect their values in an array. The key is the name of the option in the options object.
+ */
+const OPTIONS = {
+    encoding: {argument: 'legacy|vendor'},
+    charset: {argument: 'ascii|utf16le|utf16be'},
+    'min-length': {argument: '<characters>', key: 'minLength', parse: parsePositiveInteger},
+    match: {argument: '<regex>', parse: parseRegExp, multiple: true},
+    exclude: {argument: '<regex>', parse: parseRegExp, multiple: true},
+    format: {argument: '<format>'},
+    region: {argument: '<name>'},
+    context: {argument: '<count>', parse: parseNonNegativeInteger},
+    out: {argument: '<dir>'},
+    metadata: {argument: '<file>'},
+    database: {argument: '<file>'},
+    address: {argument: '<part>=<address>', key: 'addresses', parse: parseAddress, multiple: true},
+    url: {argument: '<url>'},
+    data: {argument: '<json>', parse: parseJsonObject},
+    concurrency: {argument: '<threads>', parse: parsePositiveInteger},
+    mode: {argument: 'greedy|best'},
+    'side-by-side': {key: 'sideBySide'},
+    name: {argument: '<name>'},
+    force: {},
+    json: {},
+};
+
+/**
+ * The options every command accepts.
+ */
+const GENERAL_OPTIONS = {
+    quiet: 'print only warnings and errors',
+    verbose: 'also print debug messages and the stack trace of errors',
+    help: 'print the help of the command',
+};
+
+const OUT_OPTION = 'the directory of the unpacked files and the output files (default: the directory of the input file)';
+const CONCURRENCY_OPTION = `the maximum number of worker threads that (de)compress subsections in parallel (default:`
+    + ` ${workers.getDefaultConcurrency()}, the number of CPU cores)`;
+const MODE_OPTION = 'the compression mode: greedy (default) or best, which is slower, but reclaims space and reports'
+    + ' the size differences against greedy and the original compression';
+const DATABASE_OPTION = 'a firmware database file with the images recorded by recordimage, read in addition to the'
+    + ' bundled database';
+const METADATA_OPTION = 'the metadata file written by unpack, the unpacked files are read from its directory'
+    + ' (default: <inputfile>.unpack in the --out directory)';
+
+/**
+ * The commands with their positional arguments, the options they accept (with their descriptions) and the function
+ * that executes them. The functions return the exit code, or a promise of it.
+ */
+const COMMANDS = {
+    info: {
+        arguments: ['inputfile'],
+        description: 'prints the headers, version, checksum status and subsections of a firmware file',
+        options: {
+            json: 'print JSON instead of a table',
+            database: DATABASE_OPTION,
+        },
+        run: ([inputFileName], options) => {
+            printJson(firmware.info(inputFileName, options), options);
+            return EXIT_CODE_SUCCESS;
+        },
+    },
+    verify: {
+        arguments: ['inputfile'],
+        description: 'checks the integrity of a firmware file and reports all problems, exits with 1 if there are any',
+        options: {
+            encoding: 'the compression encoding to decompress with (default: legacy)',
+            json: 'print JSON instead of text',
+            database: DATABASE_OPTION,
+        },
+        run: ([inputFileName], options) => {
+            const report = printJson(firmware.verify(inputFileName, options), options);
+            return report.valid ? EXIT_CODE_SUCCESS : EXIT_CODE_FAILURE;
+        },
+    },
+    recordimage: {
+        arguments: ['inputfile'],
+        description: 'records the hashes of a known-good firmware file, e.g. an original release, in a firmware'
+            + ' database file, so that info identifies it and the modified sections of files of its version',
+        options: {
+            database: 'the firmware database file to record the image in, created if it does not exist (required)',
+            name: 'the name of the firmware version, required if the version is not in the database yet',
+            force: 'replace hashes that are already recorded for the version',
+            encoding: 'the compression encoding to verify the file with (default: legacy)',
+        },
+        run: ([inputFileName], options) => {
+            if (!options.database) {
+                throw new UsageError('Option --database is required', 'recordimage');
+            }
+            firmware.recordImage(inputFileName, options);
+            return EXIT_CODE_SUCCESS;
+        },
+    },
+    diff: {
+        arguments: ['inputfile', 'otherfile'],
+        description: 'compares the headers, sections and decompressed subsections of two firmware files,'
+            + ' exits with 1 if they differ',
+        options: {
+            encoding: 'the compression encoding to decompress with (default: legacy)',
+            context: 'print a hexdump of the changed ranges with this number of bytes around them',
+            json: 'print JSON instead of text',
+            database: DATABASE_OPTION,
+        },
+        run: ([inputFileName, otherFileName], options) => {
+            const comparison = printJson(firmware.diff(inputFileName, otherFileName, options), options);
+            return comparison.identical ? EXIT_CODE_SUCCESS : EXIT_CODE_FAILURE;
+        },
+    },
+    strings: {
+        arguments: ['inputfile'],
+        description: 'prints the strings of all sections and decompressed subsections with their positions and'
+            + ' memory addresses',
+        options: {
+            encoding: 'the compression encoding to decompress with (default: legacy)',
+            charset: 'the character set of the strings (default: ascii)',
+            'min-length': 'the minimum length of a string (default: 4)',
+            match: 'print only strings that match the regular expression (can be given multiple times)',
+            exclude: 'do not print strings that match the regular expression (can be given multiple times)',
+            json: 'print JSON instead of a table',
+            database: DATABASE_OPTION,
+        },
+        run: ([inputFileName], options) => {
+            printJson(firmware.strings(inputFileName, options), options);
+            return EXIT_CODE_SUCCESS;
+        },
+    },
+    wificommands: {
+        arguments: ['inputfile'],
+        description: 'extracts the catalogue of the Wi-Fi HTTP commands from the decompressed firmware code,'
+            + ' exits with 1 if there is none',
+        options: {
+            encoding: 'the compression encoding to decompress with (default: legacy)',
+            json: 'print JSON instead of a list',
+            database: DATABASE_OPTION,
+        },
+        run: ([inputFileName], options) => {
+            const catalogue = printJson(firmware.wifiCommands(inputFileName, options), options);
+            return catalogue.table ? EXIT_CODE_SUCCESS : EXIT_CODE_FAILURE;
+        },
+    },
+    wifisend: {
+        arguments: ['commandname'],
+        description: 'sends a command to the HTTP server of the camera and prints the response',
+        options: {
+            url: `the base URL of the camera (default: ${DEFAULT_BASE_URL})`,
+            data: 'additional properties of the command data, e.g. {"param":"on"}',
+        },
+        run: ([commandName], options) => createClient({baseUrl: options.url})
+            .sendCommand(commandName, options.data)
+            .then(response => {
+                console.log(response.data !== undefined ? JSON.stringify(response.data, null, 2) : response.body);
+                return EXIT_CODE_SUCCESS;
+            }),
+    },
+    unpack: {
+        arguments: ['inputfile'],
+        description: 'unpacks a firmware file into its sections',
+        options: {
+            encoding: 'the compression encoding to decompress and later recompress with (default: legacy)',
+            out: OUT_OPTION,
+            concurrency: CONCURRENCY_OPTION,
+            database: DATABASE_OPTION,
+        },
+        run: ([inputFileName], options) => {
+            return firmware.unpack(inputFileName, getOutputDirectory(inputFileName, options), options)
+                .then(() => EXIT_CODE_SUCCESS);
+        },
+    },
+    repack: {
+        arguments: ['inputfile'],
+        description: 'repacks an unpacked firmware into a flashable firmware file, which is verified before it is'
+            + ' written',
+        options: {
+            out: OUT_OPTION,
+            metadata: METADATA_OPTION,
+            force: 'write the firmware file even if its verification fails',
+            mode: MODE_OPTION,
+            concurrency: CONCURRENCY_OPTION,
+        },
+        run: ([inputFileName], options) => {
+            return firmware.repack(inputFileName, getOutputDirectory(inputFileName, options), options)
+                .then(() => EXIT_CODE_SUCCESS);
+        },
+    },
+    patch: {
+        arguments: ['inputfile', 'patchfile'],
+        description: 'applies a JSON or YAML patch file to an unpacked firmware and repacks it',
+        options: {
+            out: OUT_OPTION,
+            metadata: METADATA_OPTION,
+            force: 'write the firmware file even if its verification fails',
+            mode: MODE_OPTION,
+            concurrency: CONCURRENCY_OPTION,
+        },
+        run: ([inputFileName, patchFileName], options) => {
+            return firmware.applyPatchFile(inputFileName, patchFileName, getOutputDirectory(inputFileName, options),
+                options).then(() => EXIT_CODE_SUCCESS);
+        },
+    },
+    create: {
+        arguments: ['manifestfile'],
+        description: 'creates a firmware file from a JSON manifest of sections, header fields and source files',
+        options: {
+            out: 'the directory of the created file (default: the directory of the manifest)',
+            force: 'write the firmware file even if its verification fails',
+            mode: MODE_OPTION,
+            concurrency: CONCURRENCY_OPTION,
+        },
+        run: ([manifestFileName], options) => {
+            return firmware.create(manifestFileName, getOutputDirectory(manifestFileName, options), options)
+                .then(() => EXIT_CODE_SUCCESS);
+        },
+    },
+    'export-elf': {
+        arguments: ['inputfile'],
+        description: 'exports the subsections of section 0, the IPL and the ND1 section into an ARM ELF file for'
+            + ' disassemblers',
+        options: {
+            encoding: 'the compression encoding to decompress with (default: legacy)',
+            address: 'the load address of a part, sub0.<index> or a section id (can be given multiple times)',
+            out: 'the directory of the output file (default: the directory of the input file)',
+            database: DATABASE_OPTION,
+        },
+        run: ([inputFileName], options) => {
+            const addresses = Object.assign.apply(null, [{}].concat(options.addresses || []));
+            firmware.exportElf(inputFileName, getOutputDirectory(inputFileName, options),
+                Object.assign({}, options, {addresses: addresses}));
+            return EXIT_CODE_SUCCESS;
+        },
+    },
+    memmap: {
+        arguments: ['inputfile'],
+        description: 'places the sections and decompressed subsections at their load addresses in a sparse flat'
+            + ' image and writes its layout as JSON, with overlaps and gaps',
+        options: {
+            encoding: 'the compression encoding to decompress with (default: legacy)',
+            address: 'the load address of a part, sub0.<index> or a section id (can be given multiple times)',
+            out: 'the directory of the output files (default: the directory of the input file)',
+            json: 'prints the layout as JSON',
+            database: DATABASE_OPTION,
+        },
+        run: ([inputFileName], options) => {
+            const addresses = Object.assign.apply(null, [{}].concat(options.addresses || []));
+            const memoryLayout = firmware.memmap(inputFileName, getOutputDirectory(inputFileName, options),
+                Object.assign({}, options, {addresses: addresses}));
+            printJson(memoryLayout, options);
+            return memoryLayout.overlaps.length === 0 ? EXIT_CODE_SUCCESS : EXIT_CODE_FAILURE;
+        },
+    },
+    flipregion: {
+        arguments: ['inputfile'],
+        description: 'changes the region of a firmware file to the region given by --region, or to the other region of a'
+            + ' model with two regions',
+        options: {
+            region: 'the target region (required if the camera model has more than two regions)',
+            out: 'the directory of the output file (default: the directory of the input file)',
+            database: DATABASE_OPTION,
+        },
+        run: ([inputFileName], options) => {
+            firmware.flipRegion(inputFileName, getOutputDirectory(inputFileName, options), options);
+            return EXIT_CODE_SUCCESS;
+        },
+    },
+    exportstrings: {
+        arguments: ['inputfile'],
+        description: 'exports the string tables of an unpacked ND1 section into a file per table',
+        options: {
+            format: 'the file format: json (default) or po',
+            out: OUT_OPTION,
+            metadata: METADATA_OPTION,
+        },
+        run: ([inputFileName], options) => {
+            firmware.exportStrings(inputFileName, getOutputDirectory(inputFileName, options), options);
+            return EXIT_CODE_SUCCESS;
+        },
+    },
+    importstrings: {
+        arguments: ['inputfile'],
+        description: 'writes the edited strings of the exported files back into the unpacked ND1 section',
+        options: {
+            out: OUT_OPTION,
+            metadata: METADATA_OPTION,
+        },
+        run: ([inputFileName], options) => {
+            firmware.importStrings(inputFileName, getOutputDirectory(inputFileName, options), options);
+            return EXIT_CODE_SUCCESS;
+        },
+    },
+    test: {
+        arguments: ['inputfile'],
+        description: 'unpacks and repacks a firmware file and compares input to output to validate everything'
+            + ' working correctly',
+        options: {
+            encoding: 'the compression encoding to test (default: legacy)',
+            mode: 'the compression mode to test: greedy (default) or best',
+            concurrency: CONCURRENCY_OPTION,
+            database: DATABASE_OPTION,
+        },
+        run: ([inputFileName], options) => {
+            return firmware.test(inputFileName, options).then(() => EXIT_CODE_SUCCESS);
+        },
+    },
+    trace: {
+        arguments: ['inputfile', 'subsection'],
+        description: 'writes the token stream (flag bytes, literals and lookups) of a compressed subsection of'
+            + ' section 0, or side by side with its recompression from the first divergence',
+        options: {
+            encoding: 'the compression encoding to decompress and recompress with (default: legacy)',
+            format: 'the file format: jsonl (default) or csv',
+            'side-by-side': 'align the original token stream with the token stream of the recompression',
+            mode: 'the compression mode of the recompression: greedy (default) or best',
+            context: 'the number of rows before the first divergence in the side-by-side file (default: 16)',
+            out: 'the directory of the output file (default: the directory of the input file)',
+            concurrency: CONCURRENCY_OPTION,
+            database: DATABASE_OPTION,
+        },
+        run: ([inputFileName, subsection], options) => {
+            if (!/^\d+$/.test(subsection)) {
+                throw new UsageError(`<subsection> requires the index of a subsection, got ${subsection}`, 'trace');
+            }
+            if (options.format && traces.FORMATS.indexOf(options.format) === -1) {
+                throw new UsageError(`--format requires one of ${traces.FORMATS.join(', ')}, got ${options.format}`,
+                    'trace');
+            }
+            return firmware.trace(inputFileName, parseInt(subsection), getOutputDirectory(inputFileName, options),
+                options).then(() => EXIT_CODE_SUCCESS);
+        },
+    },
+};
+
+/**
+ * Prints the result of a command as JSON if requested. The text output of the command is suppressed in this case,
+ * because JSON mode logs at the quiet level.
+ * @param result
+ * @param options
+ * @returns {Object} the result
+ */
+function printJson(result, options) {
+    if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+    }
+    return result;
+}
+
+/**
+ * Returns the --out directory, which is created with its parents if it does not exist, or the directory of the input
+ * file.
+ * @param inputFileName
+ * @param options
+ * @returns {string}
+ */
+function getOutputDirectory(inputFileName, options) {
+    if (!options.out) {
+        return path.dirname(inputFileName);
+    }
+
+    fs.mkdirSync(options.out, {recursive: true});
+
+    return options.out;
 }
 
-const command = process.argv[2];
-const inputFileName = process.argv[3];
-const outputDirectoryName = path.dirname(inputFileName);
+function formatUsageLine(name) {
+    const command = COMMANDS[name];
+    const options = Object.keys(command.options)
+        .map(option => `[--${option}${OPTIONS[option].argument ? ` ${OPTIONS[option].argument}` : ''}]`);
+
+    return [name, ...command.arguments.map(argument => `<${argument}>`), ...options].join(' ');
+}
 
-try {
-    switch (command) {
-        case 'unpack':
-            firmware.unpack(inputFileName, outputDirectoryName);
-            break;
+function printUsage() {
+    console.log('usage: npm run <command> -- <arguments> [options]');
+    console.log('       npm run help -- <command>');
+    console.log();
+    console.log('commands:');
+    Object.keys(COMMANDS).forEach(name => {
+        console.log(` ${S(name).padRight(16).s}${COMMANDS[name].description}`);
+    });
+    console.log();
+    console.log('options of all commands:');
+    Object.keys(GENERAL_OPTIONS).forEach(option => {
+        console.log(` --${S(option).padRight(16).s}${GENERAL_OPTIONS[option]}`);
+    });
+    console.log();
+    console.log(`exit codes: ${EXIT_CODE_SUCCESS} success, ${EXIT_CODE_FAILURE} failure (also verification problems`
+        + ` and differences), ${EXIT_CODE_USAGE} invalid command line`);
+}
 
-        case 'repack':
-            firmware.repack(inputFileName, outputDirectoryName);
-            break;
+function printCommandHelp(name) {
+    const command = COMMANDS[name];
 
-        case 'flipregion':
-            firmware.flipRegion(inputFileName, outputDirectoryName);
-            break;
+    console.log(`usage: npm run ${formatUsageLine(name)}`);
+    console.log();
+    console.log(`${name}: ${command.description}`);
+    console.log();
+    console.log('options:');
+    Object.keys(command.options).forEach(option => {
+        const argument = OPTIONS[option].argument;
+        console.log(` --${option}${argument ? ` ${argument}` : ''}: ${command.options[option]}`);
+    });
+    Object.keys(GENERAL_OPTIONS).forEach(option => {
+        console.log(` --${option}: ${GENERAL_OPTIONS[option]}`);
+    });
+}
 
-        case 'test':
-            firmware.test(inputFileName, outputDirectoryName);
-            break;
+/**
+ * Parses the command line arguments after the command into the positional arguments and the options.
+ * @param name the command
+ * @param args
+ * @returns {{positionals: Array, options: Object}}
+ */
+function parseArguments(name, args) {
+    const command = COMMANDS[name];
+    const positionals = [];
+    const options = {};
 
+    for (let i = 0; i < args.length; i++) {
+        if (!args[i].startsWith('--')) {
+            positionals.push(args[i]);
+            continue;
+        }
 
-        default:
-            console.error(`Unknown command: ${command}`);
+        const option = args[i].slice(2);
+
+        if (GENERAL_OPTIONS[option]) {
+            options[option] = true;
+            continue;
+        }
+        if (!command.options[option]) {
+            throw new UsageError(`Unknown option ${args[i]}`, name);
+        }
+
+        if (OPTIONS[option].argument) {
+            if (i + 1 >= args.length) {
+                throw new UsageError(`Option ${args[i]} requires a value`, name);
+            }
+            const key = OPTIONS[option].key || option;
+            let value = args[++i];
+            try {
+                value = OPTIONS[option].parse ? OPTIONS[option].parse(value, option) : value;
+            } catch (error) {
+                throw new UsageError(error.message, name);
+            }
+            options[key] = OPTIONS[option].multiple ? (options[key] || []).concat([value]) : value;
+        } else {
+            options[OPTIONS[option].key || option] = true;
+        }
+    }
+
+    if (options.help) {
+        return {positionals: positionals, options: options};
+    }
+    if (options.quiet && options.verbose) {
+        throw new UsageError('The options --quiet and --verbose cannot be combined', name);
+    }
+    if (positionals.length < command.arguments.length) {
+        throw new UsageError(`Argument <${command.arguments[positionals.length]}> missing`, name);
+    }
+    if (positionals.length > command.arguments.length) {
+        throw new UsageError(`Unexpected argument ${positionals[command.arguments.length]}`, name);
     }
-} catch (error) {
-    console.error(error);
+
+    return {positionals: positionals, options: options};
+}
+
+/**
+ * Executes the command line.
+ * @param args the command line arguments without node and the script
+ * @returns {number|Promise<number>} the exit code
+ */
+function main(args) {
+    const name = args[0];
+
+    if (name === 'help' || name === '--help') {
+        if (args[1] && COMMANDS[args[1]]) {
+            printCommandHelp(args[1]);
+        } else {
+            printUsage();
+        }
+        return EXIT_CODE_SUCCESS;
+    }
+
+    let parsedArguments;
+    try {
+        if (!name) {
+            throw new UsageError('Command missing');
+        }
+        if (!COMMANDS[name]) {
+            throw new UsageError(`Unknown command: ${name}`);
+        }
+        parsedArguments = parseArguments(name, args.slice(1));
+    } catch (error) {
+        if (!(error instanceof UsageError)) {
+            throw error;
+        }
+        console.error(error.message);
+        console.error();
+        error.command ? printCommandHelp(error.command) : printUsage();
+        return EXIT_CODE_USAGE;
+    }
+
+    const options = parsedArguments.options;
+
+    if (options.help) {
+        printCommandHelp(name);
+        return EXIT_CODE_SUCCESS;
+    }
+
+    // JSON output must not be mixed with the text output, which is logged at the normal level
+    const logLevel = options.quiet || options.json ? LOG_LEVEL_QUIET
+        : options.verbose ? LOG_LEVEL_VERBOSE : LOG_LEVEL_NORMAL;
+    options.logger = createConsoleLogger(logLevel);
+
+    return new Promise(resolve => {
+        // recordimage reads its database file itself, as it creates the file
+        if (options.database && name !== 'recordimage') {
+            firmware.loadDatabase(options.database);
+        }
+        resolve(COMMANDS[name].run(parsedArguments.positionals, options));
+    })
+        .catch(error => {
+            // Arguments that only the command can validate are reported like the invalid command lines above
+            if (error instanceof UsageError) {
+                console.error(error.message);
+                console.error();
+                printCommandHelp(name);
+                return EXIT_CODE_USAGE;
+            }
+            if (options.verbose) {
+                console.error(error);
+            } else if (error instanceof FirmwareError) {
+                console.error(`Error: ${error.message} (${error.code})`);
+            } else {
+                console.error(`Error: ${error.message} (run with --verbose for details)`);
+            }
+            return EXIT_CODE_FAILURE;
+        });
 }
+
+Promise.resolve(main(process.argv.slice(2))).then(exitCode => {
+    process.exitCode = exitCode;
+});
@@ -0,0 +1,49 @@
+/*
+ * YI Mirrorless Firmware Tools
+ * Author: Mario Guggenberger <mg@protyposis.net>
+ * Licensed under the GPLv3
+ */
+'use strict';
+
+/**
+ * Finds the ranges that overlap each other.
+ * @param ranges the ranges with name, start and end (exclusive)
+ * @returns {Array} the overlapping pairs of ranges
+ */
+function findOverlaps(ranges) {
+    const sortedRanges = ranges.slice().sort((a, b) => a.start - b.start);
+    const overlaps = [];
+
+    sortedRanges.forEach((range, index) => {
+        for (let i = index + 1; i < sortedRanges.length && sortedRanges[i].start < range.end; i++) {
+            overlaps.push([range, sortedRanges[i]]);
+        }
+    });
+
+    return overlaps;
+}
+
+/**
+ * Finds the gaps between the ranges, from the start of the first to the end of the last range.
+ * @param ranges the ranges with name, start and end (exclusive)
+ * @returns {Array} the gaps with start, end (exclusive), and the names of the previous and next range
+ */
+function findGaps(ranges) {
+    const sortedRanges = ranges.slice().sort((a, b) => a.start - b.start);
+    const gaps = [];
+    let previous = null;
+
+    sortedRanges.forEach(range => {
+        if (previous && range.start > previous.end) {
+            gaps.push({start: previous.end, end: range.start, previous: previous.name, next: range.name});
+        }
+        if (!previous || range.end > previous.end) {
+            previous = range;
+        }
+    });
+
+    return gaps;
+}
+
+exports.findOverlaps = findOverlaps;
+exports.findGaps = findGaps;
@@ -0,0 +1,90 @@
+/*
+ * YI Mirrorless Firmware Tools
+ * Author: Mario Guggenberger <mg@protyposis.net>
+ * Licensed under the GPLv3
+ */
+'use strict';
+
+/**
+ * A logger that discards everything. All functions of the firmware tools log to it unless a logger is passed in
+ * their options.
+ */
+const silentLogger = {
+    debug: () => {},
+    log: () => {},
+    info: () => {},
+    warn: () => {},
+    error: () => {},
+    progress: () => {},
+};
+
+const LOG_LEVEL_QUIET = 'quiet';
+const LOG_LEVEL_NORMAL = 'normal';
+const LOG_LEVEL_VERBOSE = 'verbose';
+const LOG_LEVELS = [LOG_LEVEL_QUIET, LOG_LEVEL_NORMAL, LOG_LEVEL_VERBOSE];
+
+/**
+ * Creates a logger that writes to the console and prints progress percentages in place. The progress is only printed
+ * to a terminal, as redirected output would collect all percentages on one line.
+ * @param level quiet (only warnings and errors), normal (default) or verbose (also debug messages)
+ * @returns {{debug, log, info, warn, error, progress}}
+ */
+function createConsoleLogger(level) {
+    const levelIndex = LOG_LEVELS.indexOf(level || LOG_LEVEL_NORMAL);
+    let lastPercent = 0;
+
+    if (levelIndex === -1) {
+        throw new Error(`unknown log level ${level}`);
+    }
+
+    const logger = {
+        warn: console.warn,
+        error: console.error,
+    };
+
+    if (levelIndex >= LOG_LEVELS.indexOf(LOG_LEVEL_NORMAL)) {
+        Object.assign(logger, {
+            log: console.log,
+            info: console.info,
+            progress: (percent) => {
+                if (!process.stdout.isTTY) {
+                    return;
+                }
+                if (percent < lastPercent) {
+                    // A new operation has started
+                    lastPercent = 0;
+                }
+                if (percent > lastPercent) {
+                    lastPercent = percent;
+                    process.stdout.write(`\r${percent}%`);
+                    if (percent === 100) {
+                        console.log(); // add line break
+                    }
+                }
+            },
+        });
+    }
+
+    if (levelIndex >= LOG_LEVELS.indexOf(LOG_LEVEL_VERBOSE)) {
+        logger.debug = console.log;
+    }
+
+    return getLogger({logger: logger});
+}
+
+/**
+ * Returns the logger from the options of a function, completed with the silent logger for the methods it does not
+ * implement (e.g. when the console is passed, which does not know progress).
+ * @param options
+ * @returns {{debug, log, info, warn, error, progress}}
+ */
+function getLogger(options) {
+    return Object.assign({}, silentLogger, options && options.logger);
+}
+
+exports.LOG_LEVEL_QUIET = LOG_LEVEL_QUIET;
+exports.LOG_LEVEL_NORMAL = LOG_LEVEL_NORMAL;
+exports.LOG_LEVEL_VERBOSE = LOG_LEVEL_VERBOSE;
+exports.silentLogger = silentLogger;
+exports.createConsoleLogger = createConsoleLogger;
+exports.getLogger = getLogger;
@@ -5,13 +5,35 @@
  */
 'use strict';
 
-const S = require('string');
+const {CompressionError} = require('./errors');
+const {getLogger} = require('./logger');
 
 const LOOKUP_BUFFER_SIZE = 0x1000;
 const LOOKUP_DATA_MAX_INDEX = 0x0FFF;
 const LOOKUP_DATA_MAX_LENGTH = 0x0F;
 const LOOKUP_MIN_LENGTH = 3;
 const LOOKUP_MAX_LENGTH = LOOKUP_DATA_MAX_LENGTH + LOOKUP_MIN_LENGTH;
+const HASH_BITS = 16;
+const WINDOW_START = LOOKUP_BUFFER_SIZE - LOOKUP_MAX_LENGTH;
+const VENDOR_WINDOW_FILL = 0x00;
+const VENDOR_TREE_NIL = LOOKUP_BUFFER_SIZE;
+const DECOMPRESSION_SIZE_ESTIMATE_FACTOR = 4;
+const DEFAULT_BLOCK_SIZE = 2048;
+
+const ENCODING_LEGACY = 'legacy';
+const ENCODING_VENDOR = 'vendor';
+const ENCODINGS = [ENCODING_LEGACY, ENCODING_VENDOR];
+
+const TOKEN_FLAGS = 'flags';
+const TOKEN_LITERAL = 'literal';
+const TOKEN_LOOKUP = 'lookup';
+
+const MODE_GREEDY = 'greedy';
+const MODE_BEST = 'best';
+const MODES = [MODE_GREEDY, MODE_BEST];
+// The encoded sizes in bits, including the flag bit
+const LITERAL_COST = 9;
+const LOOKUP_COST = 17;
 
 class RingBuffer {
     constructor(size, initialIndex = 0) {
@@ -62,10 +84,13 @@ class RingBuffer {
         ]);
     }
 
-    find(byteArray, length) {
+    find(byteArray, length, maxDistance) {
         if (length === undefined) {
             length = byteArray.length;
         }
+        if (maxDistance === undefined) {
+            maxDistance = this.buffer.length;
+        }
 
         const check = (x) => {
             for (let y = 1; y < length; y++) {
@@ -80,7 +105,9 @@ class RingBuffer {
         let maxLength = 0;
         let maxLengthIndex = -1;
 
-        for (let x = 2; x < this.bufferLevel; x++) {
+        const searchEnd = Math.min(this.bufferLevel, maxDistance + 1);
+
+        for (let x = 2; x < searchEnd; x++) {
             // Search backwards from the most recently written byte
             const searchIndex = (this.bufferIndex - x + this.buffer.length) % this.buffer.length;
             // Check the first value and if it matched, check all remaining ones
@@ -97,6 +124,248 @@ class RingBuffer {
     }
 }
 
+/**
+ * An output buffer that doubles its capacity whenever it is full.
+ */
+class GrowableBuffer {
+    constructor(initialSize) {
+        this.buffer = Buffer.alloc(Math.max(initialSize, 1));
+        this.bufferLevel = 0;
+    }
+
+    get length() {
+        return this.bufferLevel;
+    }
+
+    writeUInt8(value) {
+        if (this.bufferLevel === this.buffer.length) {
+            const buffer = Buffer.alloc(this.buffer.length * 2);
+            this.buffer.copy(buffer);
+            this.buffer = buffer;
+        }
+
+        this.buffer[this.bufferLevel++] = value;
+    }
+
+    toBuffer() {
+        return this.buffer.slice(0, this.bufferLevel);
+    }
+}
+
+/**
+ * Finds the longest match for the lookahead at an input position by following hash chains over the input instead of
+ * scanning the whole ring buffer.
+ *
+ * The results are identical to a full scan with RingBuffer.find: candidates are visited from the most recent to the
+ * oldest position and a candidate only wins if its match is strictly longer. Candidates closer than
+ * LOOKUP_MAX_LENGTH bytes can reach past the write index of the ring buffer and then compare against stale ring
+ * contents instead of the input, so these few are still checked in the ring buffer itself.
+ */
+class MatchFinder {
+    constructor(buffer, lookupBuffer) {
+        this.buffer = buffer;
+        this.lookupBuffer = lookupBuffer;
+        this.initialIndex = lookupBuffer.index;
+        this.head = new Int32Array(1 << HASH_BITS).fill(-1);
+        this.previous = new Int32Array(buffer.length);
+    }
+
+    hash(position) {
+        const key = this.buffer[position] << 16 | this.buffer[position + 1] << 8 | this.buffer[position + 2];
+        return Math.imul(key, 0x9E3779B1) >>> (32 - HASH_BITS);
+    }
+
+    /**
+     * Adds an input position to the hash chains. Positions must be inserted in ascending order.
+     * @param position
+     */
+    insert(position) {
+        if (position + LOOKUP_MIN_LENGTH > this.buffer.length) {
+            return;
+        }
+
+        const hash = this.hash(position);
+        this.previous[position] = this.head[hash];
+        this.head[hash] = position;
+    }
+
+    /**
+     * Finds the longest match for the bytes at the given input position. All previous positions must have been
+     * inserted before.
+     * @param lookahead the bytes at the input position
+     * @param position the input position
+     * @returns {[number, number]} the match length and its index in the ring buffer
+     */
+    find(lookahead, position) {
+        const length = lookahead.length;
+        const nearestDistance = LOOKUP_MAX_LENGTH;
+        let [maxLength, maxLengthIndex] = this.lookupBuffer.find(lookahead, length, nearestDistance - 1);
+
+        if (length < LOOKUP_MIN_LENGTH || maxLength === length) {
+            return [maxLength, maxLengthIndex];
+        }
+
+        // The ring buffer does not contain the first input byte when it is full, and never its very first position
+        const minPosition = Math.max(1, position - (LOOKUP_BUFFER_SIZE - 1));
+        const maxPosition = position - nearestDistance;
+        let candidate = this.head[this.hash(position)];
+
+        while (candidate >= minPosition) {
+            // Quickly skip candidates that cannot be longer than the current best match
+            if (candidate <= maxPosition
+                && this.buffer[candidate + maxLength] === this.buffer[position + maxLength]) {
+                let candidateLength = 0;
+                while (candidateLength < length
+                && this.buffer[candidate + candidateLength] === this.buffer[position + candidateLength]) {
+                    candidateLength++;
+                }
+
+                if (candidateLength > maxLength) {
+                    maxLength = candidateLength;
+                    maxLengthIndex = (this.initialIndex + candidate) % LOOKUP_BUFFER_SIZE;
+
+                    if (maxLength === length) {
+                        break;
+                    }
+                }
+            }
+
+            candidate = this.previous[candidate];
+        }
+
+        return [maxLength, maxLengthIndex];
+    }
+}
+
+/**
+ * Binary search tree over the strings in the ring buffer, ported from the LZSS.C reference encoder by Haruhiko
+ * Okumura (1989). The firmware uses its format (4096 byte window starting at 0xFEE, 18 byte lookahead, minimum match
+ * length 3, LSB-first flag bytes where a set bit denotes a literal, 12-bit index split over the low byte and the high
+ * nibble of the second byte). If the firmware has been compressed with this encoder, which is not confirmed yet, the
+ * match this tree finds decides the tie-breaking between equal-length matches of the vendor encoder.
+ *
+ * The port keeps the quirks of the original, e.g. that the mirrored bytes at the end of the text buffer are
+ * initially zero instead of the window fill byte.
+ */
+class SearchTree {
+    constructor(textBuffer) {
+        this.textBuffer = textBuffer;
+        this.leftChildren = new Int32Array(LOOKUP_BUFFER_SIZE + 257).fill(VENDOR_TREE_NIL);
+        this.rightChildren = new Int32Array(LOOKUP_BUFFER_SIZE + 257).fill(VENDOR_TREE_NIL);
+        this.parents = new Int32Array(LOOKUP_BUFFER_SIZE + 1).fill(VENDOR_TREE_NIL);
+        this.matchPosition = 0;
+        this.matchLength = 0;
+    }
+
+    /**
+     * Inserts the string at the given ring buffer position into the tree and stores the longest match for it in
+     * matchPosition and matchLength. If an identical string is already in the tree, it is replaced by the new one.
+     * @param r ring buffer position
+     */
+    insert(r) {
+        const textBuffer = this.textBuffer;
+        const left = this.leftChildren;
+        const right = this.rightChildren;
+        const parents = this.parents;
+        let cmp = 1;
+        let p = LOOKUP_BUFFER_SIZE + 1 + textBuffer[r];
+
+        right[r] = left[r] = VENDOR_TREE_NIL;
+        this.matchLength = 0;
+
+        while (true) {
+            if (cmp >= 0) {
+                if (right[p] !== VENDOR_TREE_NIL) {
+                    p = right[p];
+                } else {
+                    right[p] = r;
+                    parents[r] = p;
+                    return;
+                }
+            } else {
+                if (left[p] !== VENDOR_TREE_NIL) {
+                    p = left[p];
+                } else {
+                    left[p] = r;
+                    parents[r] = p;
+                    return;
+                }
+            }
+
+            let i;
+            for (i = 1; i < LOOKUP_MAX_LENGTH; i++) {
+                cmp = textBuffer[r + i] - textBuffer[p + i];
+                if (cmp !== 0) {
+                    break;
+                }
+            }
+
+            if (i > this.matchLength) {
+                this.matchPosition = p;
+                this.matchLength = i;
+                if (i >= LOOKUP_MAX_LENGTH) {
+                    break;
+                }
+            }
+        }
+
+        // Replace the old node p by the new node r
+        parents[r] = parents[p];
+        left[r] = left[p];
+        right[r] = right[p];
+        parents[left[p]] = r;
+        parents[right[p]] = r;
+        if (right[parents[p]] === p) {
+            right[parents[p]] = r;
+        } else {
+            left[parents[p]] = r;
+        }
+        parents[p] = VENDOR_TREE_NIL;
+    }
+
+    /**
+     * Removes the string at the given ring buffer position from the tree.
+     * @param p ring buffer position
+     */
+    delete(p) {
+        const left = this.leftChildren;
+        const right = this.rightChildren;
+        const parents = this.parents;
+        let q;
+
+        if (parents[p] === VENDOR_TREE_NIL) {
+            return;
+        }
+
+        if (right[p] === VENDOR_TREE_NIL) {
+            q = left[p];
+        } else if (left[p] === VENDOR_TREE_NIL) {
+            q = right[p];
+        } else {
+            q = left[p];
+            if (right[q] !== VENDOR_TREE_NIL) {
+                do {
+                    q = right[q];
+                } while (right[q] !== VENDOR_TREE_NIL);
+                right[parents[q]] = left[q];
+                parents[left[q]] = parents[q];
+                left[q] = left[p];
+                parents[left[p]] = q;
+            }
+            right[q] = right[p];
+            parents[right[p]] = q;
+        }
+
+        parents[q] = parents[p];
+        if (right[parents[p]] === p) {
+            right[parents[p]] = q;
+        } else {
+            left[parents[p]] = q;
+        }
+        parents[p] = VENDOR_TREE_NIL;
+    }
+}
+
 const decodeFlagByte = (flagByte) => {
     const flags = [];
 
@@ -112,7 +381,7 @@ const encodeFlagByte = (flags) => {
     let flagByte = 0;
 
     if (flags.length !== 8) {
-        throw `invalid flags array`;
+        throw new CompressionError(`invalid flags array`);
     }
 
     flags.forEach((flag, index) => {
@@ -124,58 +393,270 @@ const encodeFlagByte = (flags) => {
     return flagByte;
 };
 
-const toBitString = (value, bits) => {
-    return S(value.toString(2)).padLeft(bits, '0');
-};
+/**
+ * Creates the tokens passed to the traceCallback: a flag byte, a literal, or a lookup. All tokens have their position
+ * in the compressed and in the decompressed data; lookups also the position in the window they are written to.
+ */
+const createFlagsToken = (compressedPosition, decompressedPosition, flags) => ({
+    type: TOKEN_FLAGS,
+    compressedPosition: compressedPosition,
+    decompressedPosition: decompressedPosition,
+    flags: flags,
+});
+
+const createLiteralToken = (compressedPosition, decompressedPosition, value) => ({
+    type: TOKEN_LITERAL,
+    compressedPosition: compressedPosition,
+    decompressedPosition: decompressedPosition,
+    value: value,
+});
+
+const createLookupToken = (compressedPosition, decompressedPosition, index, length, windowPosition) => ({
+    type: TOKEN_LOOKUP,
+    compressedPosition: compressedPosition,
+    decompressedPosition: decompressedPosition,
+    index: index,
+    length: length,
+    windowPosition: windowPosition,
+});
 
-const toHexString = (value, bytes) => {
-    return S(value.toString(16)).padLeft(bytes * 2, '0').toString().toUpperCase();
+/**
+ * Collects the literals and lookups of a group, which encoders only know the flag byte of when the group is complete.
+ * The traceCallback receives the tokens of the group in stream order when the group is flushed.
+ */
+const createGroupTracer = (options) => {
+    let tokens = [];
+
+    return {
+        enabled: !!options.traceCallback,
+        add: (token) => {
+            tokens.push(token);
+        },
+        flush: (compressedPosition, flags) => {
+            if (options.traceCallback && tokens.length > 0) {
+                options.traceCallback(createFlagsToken(compressedPosition, tokens[0].decompressedPosition, flags));
+                tokens.forEach(token => options.traceCallback(token));
+            }
+            tokens = [];
+        },
+    };
 };
 
-const logFlags = (position, flagByte, flags) => {
-    const flagsByteBinaryString = toBitString(flagByte, 8);
-    const flagsString = flags.map((flag) => flag ? 'C' : 'L').reduce((a, b) => a + b);
-    console.log(`${position} flag: 0x${toHexString(flagByte, 1)}/${flagsByteBinaryString} => ${flagsString}`);
+const createProgressReporter = (length, logger) => {
+    let lastPercent = 0;
+
+    return (position) => {
+        const percent = Math.round(position / length * 100);
+        if (percent > lastPercent) {
+            lastPercent = percent;
+            logger.progress(percent);
+        }
+    };
 };
 
-const logByteCopy = (position, byte) => {
-    console.log(`${position} copy: 0x${byte.toString(16)}`);
+const validateEncoding = (options) => {
+    const encoding = options.encoding || ENCODING_LEGACY;
+
+    if (ENCODINGS.indexOf(encoding) === -1) {
+        throw new CompressionError(`unknown encoding ${encoding}`, 'ERR_UNKNOWN_ENCODING');
+    }
+
+    return encoding;
 };
 
-const logLookup = (position, lookupByte1, lookupByte2, index, length) => {
-    const lookup = lookupByte1 << 8 | lookupByte2;
-    console.log(`${position} lookup: 0x${toHexString(lookup, 2)}/${toBitString(lookup, 16)}`
-        + ` => ${toBitString(index, 12)} ${toBitString(length - 3, 4)}`
-        + ` => ${length}@${index}`);
+const validateMode = (options) => {
+    const mode = options.mode || MODE_GREEDY;
+
+    if (MODES.indexOf(mode) === -1) {
+        throw new CompressionError(`unknown compression mode ${mode}`, 'ERR_UNKNOWN_MODE');
+    }
+
+    return mode;
 };
 
 /**
- * Decompresses compressed data in section 0 of the firmware.
+ * Decompresses compressed data in section 0 of the firmware. The output buffer grows as needed.
  * @param buffer
+ * @param options.encoding the encoding the data has been compressed with, 'legacy' (default) or 'vendor'
+ * @param options.expectedSize the expected size of the decompressed data, avoids growing the output buffer if known,
+ * and ends the data of the vendor encoding
+ * @param options.traceCallback called with every token of the compressed data: flag bytes, literals and lookups
+ * @param options.logger
  * @returns {Buffer}
  */
 function decompress(buffer, options) {
-    const VERBOSE = false;
+    if (options === undefined) {
+        options = {};
+    }
+
+    if (validateEncoding(options) === ENCODING_VENDOR) {
+        return decompressVendor(buffer, options);
+    }
+
+    return decompressLegacy(buffer, options);
+}
+
+const createDecompressionBuffer = (buffer, options) => {
+    return new GrowableBuffer(options.expectedSize || buffer.length * DECOMPRESSION_SIZE_ESTIMATE_FACTOR);
+};
+
+const createTruncatedInputError = (position) => {
+    return new CompressionError(`Compressed data is truncated, cannot read byte at position ${position}`,
+        'ERR_TRUNCATED_INPUT');
+};
+
+/**
+ * Compresses data for section 0 of the firmware.
+ * @param buffer
+ * @param options.encoding 'legacy' (default) to use this tool's original greedy encoder, or 'vendor' to use the
+ * experimental port of the LZSS.C reference encoder, which the firmware may have been compressed with
+ * @param options.mode 'greedy' (default) to use the encoder of the encoding, or 'best' for the smallest output that
+ * the decoder of the encoding decodes correctly, see compressBest
+ * @param options.traceCallback called with every token of the compressed data: flag bytes, literals and lookups
+ * @param options.logger receives the compression progress
+ * @returns {Buffer}
+ */
+function compress(buffer, options) {
+    if (options === undefined) {
+        options = {};
+    }
 
+    const encoding = validateEncoding(options);
+
+    if (validateMode(options) === MODE_BEST) {
+        return compressSmallest(buffer, options, encoding);
+    }
+
+    if (encoding === ENCODING_VENDOR) {
+        return compressVendor(buffer, options);
+    }
+
+    return compressLegacy(buffer, options);
+}
+
+/**
+ * Compresses data with compressBest, and with the greedy encoder of the encoding, which on rare occasions wins with
+ * lookups that compressBest does not use (e.g. into the prefilled window). The tokens of the smaller output are
+ * passed to the traceCallback. The greedy encoder is only a candidate: if it fails (the legacy encoder cannot
+ * compress inputs of a few bytes), the output of compressBest is used.
+ */
+function compressSmallest(buffer, options, encoding) {
+    const logger = getLogger(options);
+    const compressGreedy = encoding === ENCODING_VENDOR ? compressVendor : compressLegacy;
+
+    const compressCandidate = (compress) => {
+        const tokens = [];
+        const data = compress(Object.assign({}, options, {
+            traceCallback: options.traceCallback ? token => tokens.push(token) : undefined,
+        }));
+        return {data: data, tokens: tokens};
+    };
+
+    const best = compressCandidate(candidateOptions => compressBest(buffer, candidateOptions, encoding));
+    let greedy = null;
+    try {
+        greedy = compressCandidate(candidateOptions => compressGreedy(buffer, candidateOptions));
+    } catch (error) {
+        logger.debug(`greedy encoder failed, using the optimal parse: ${error.message}`);
+    }
+
+    const smallest = greedy && greedy.data.length < best.data.length ? greedy : best;
+
+    if (options.traceCallback) {
+        smallest.tokens.forEach(token => options.traceCallback(token));
+    }
+
+    return smallest.data;
+}
+
+/**
+ * Finds the end of a compressed stream that is padded with zeros to a multiple of the block size, without
+ * decompressing it. Both encodings share the token format, so the stream can be walked token by token. It ends at the
+ * first flag byte or lookup from which the remainder of its block consists of zeros only, which is where the decoders
+ * stop. To not mistake a zero flag byte or lookup at the end of a block for padding, the padding must have room for a
+ * lookup, and for a flag byte with its first lookup. A stream that fills its last block up to less than that cannot be
+ * told apart from data that follows it.
+ * @param buffer compressed data, possibly followed by other data after the padding
+ * @param options.blockSize the size of the blocks the stream is padded to (default: 2048)
+ * @returns {number} the length of the stream without the padding
+ * @throws {CompressionError} if the buffer ends within a lookup
+ */
+function findStreamEnd(buffer, options) {
     if (options === undefined) {
         options = {};
     }
 
+    const blockSize = options.blockSize || DEFAULT_BLOCK_SIZE;
+    let paddingBlockStart = -1;
+    let paddingStart = 0;
+
+    const isPadding = (position, tokenLength) => {
+        if (blockSize - position % blockSize < tokenLength) {
+            // Not enough room for padding, the token is continued in the next block
+            return false;
+        }
+
+        const blockStart = position - position % blockSize;
+        if (blockStart !== paddingBlockStart) {
+            // Find the start of the trailing zeros of the block
+            paddingBlockStart = blockStart;
+            paddingStart = Math.min(blockStart + blockSize, buffer.length);
+            while (paddingStart > blockStart && buffer[paddingStart - 1] === 0x00) {
+                paddingStart--;
+            }
+        }
+
+        return position >= paddingStart;
+    };
+
     let bufferByteIndex = 0;
-    const lookupBuffer = new RingBuffer(LOOKUP_BUFFER_SIZE, LOOKUP_BUFFER_SIZE - LOOKUP_MAX_LENGTH);
-    const outputBuffer = Buffer.alloc(buffer.length * 10); // the compression is probably way less effective so lets just hope this size is enough (else we have to implement dynamic resizing)
-    let outputBufferByteIndex = 0;
+
+    while (bufferByteIndex < buffer.length) {
+        if (isPadding(bufferByteIndex, 3)) {
+            return bufferByteIndex;
+        }
+
+        const flagByte = buffer[bufferByteIndex++];
+
+        for (let bitIndex = 0; bitIndex < 8 && bufferByteIndex < buffer.length; bitIndex++) {
+            if ((flagByte >> bitIndex) & 1) {
+                bufferByteIndex++;
+            } else {
+                if (isPadding(bufferByteIndex, 2)) {
+                    return bufferByteIndex;
+                }
+                if (bufferByteIndex + 1 >= buffer.length) {
+                    throw createTruncatedInputError(bufferByteIndex + 1);
+                }
+
+                bufferByteIndex += 2;
+            }
+        }
+    }
+
+    return buffer.length;
+}
+
+/**
+ * Decompresses data with the semantics of this tool's original decoder: all bytes of a lookup are read from the ring
+ * buffer before any of them is written, so a lookup cannot reference bytes it produces itself.
+ */
+function decompressLegacy(buffer, options) {
+    const logger = getLogger(options);
+
+    let bufferByteIndex = 0;
+    const lookupBuffer = new RingBuffer(LOOKUP_BUFFER_SIZE, WINDOW_START);
+    const outputBuffer = createDecompressionBuffer(buffer, options);
 
     const readNextByte = () => {
-        return buffer.readUInt8(bufferByteIndex++);
+        if (bufferByteIndex >= buffer.length) {
+            throw createTruncatedInputError(bufferByteIndex);
+        }
+        return buffer[bufferByteIndex++];
     };
 
     const writeNextByte = (value) => {
-        if (outputBufferByteIndex === outputBuffer.length) {
-            throw 'Output buffer is full, cannot write more data';
-        }
-
-        outputBuffer.writeUInt8(value, outputBufferByteIndex++);
+        outputBuffer.writeUInt8(value);
     };
 
     while (bufferByteIndex < buffer.length) {
@@ -192,7 +673,7 @@ function decompress(buffer, options) {
             const oldBufferByteIndex = bufferByteIndex;
             let zeroCount = 0;
 
-            for (let x = 0; x < 16; x++) {
+            for (let x = 0; x < 16 && bufferByteIndex < buffer.length; x++) {
                 if (readNextByte() === 0x00) {
                     zeroCount++;
                 } else {
@@ -200,8 +681,11 @@ function decompress(buffer, options) {
                 }
             }
 
-            if (zeroCount === 16) {
-                console.log(`Section end detected at ${bufferByteIndex - 9}`);
+            // Padding that ends the buffer before 16 zeros have been read also marks the end
+            const paddedToEnd = bufferByteIndex === buffer.length && bufferByteIndex - oldBufferByteIndex === zeroCount;
+
+            if (zeroCount === 16 || paddedToEnd) {
+                logger.debug(`Section end detected at ${oldBufferByteIndex - 1}`);
                 break;
             }
 
@@ -212,8 +696,8 @@ function decompress(buffer, options) {
         // Parse the flag byte into a boolean flag array
         const flags = decodeFlagByte(flagByte);
 
-        if (VERBOSE) {
-            logFlags(bufferByteIndex - 1, flagByte, flags);
+        if (options.traceCallback) {
+            options.traceCallback(createFlagsToken(bufferByteIndex - 1, outputBuffer.length, flagByte));
         }
 
         for (let copyByte of flags) {
@@ -221,8 +705,8 @@ function decompress(buffer, options) {
                 // Just copy the byte into the output
                 const byte = readNextByte();
 
-                if (VERBOSE) {
-                    logByteCopy(bufferByteIndex - 1, byte);
+                if (options.traceCallback) {
+                    options.traceCallback(createLiteralToken(bufferByteIndex - 1, outputBuffer.length, byte));
                 }
 
                 // Write byte into output and lookup buffer
@@ -239,10 +723,6 @@ function decompress(buffer, options) {
                 const lookupIndex = lookup1 | ((lookup2 & 0xF0) << 4);
                 const lookupLength = (lookup2 & 0x0F) + LOOKUP_MIN_LENGTH;
 
-                if (VERBOSE) {
-                    logLookup(bufferByteIndex - 2, lookup1, lookup2, lookupIndex, lookupLength);
-                }
-
                 // Read bytes from lookup buffer
                 const lookupBytes = [];
                 for (let x = 0; x < lookupLength; x++) {
@@ -250,8 +730,9 @@ function decompress(buffer, options) {
                     lookupBytes.push(bufferByte);
                 }
 
-                if (options.lookupCallback) {
-                    options.lookupCallback([bufferByteIndex - 2, outputBufferByteIndex, lookupIndex, lookupLength, lookupBuffer.bufferIndex]);
+                if (options.traceCallback) {
+                    options.traceCallback(createLookupToken(bufferByteIndex - 2, outputBuffer.length, lookupIndex,
+                        lookupLength, lookupBuffer.bufferIndex));
                 }
 
                 lookupBytes.forEach(byte => {
@@ -262,18 +743,83 @@ function decompress(buffer, options) {
         }
     }
 
-    return outputBuffer.slice(0, outputBufferByteIndex);
+    return outputBuffer.toBuffer();
 }
 
-function compress(buffer, options) {
-    const VERBOSE = false;
+/**
+ * Decompresses data with the semantics of the LZSS.C reference decoder: lookups copy byte by byte, so they can
+ * reference bytes they produce themselves, and the window is prefilled.
+ *
+ * The compressed data has no end marker and the last flag byte can announce tokens that do not exist. The data ends
+ * at the expected size if it is known, otherwise where the zero padding of its last block starts, see findStreamEnd.
+ * Without an end marker, truncated input can only be detected when it ends within a lookup.
+ */
+function decompressVendor(buffer, options) {
+    const window = Buffer.alloc(LOOKUP_BUFFER_SIZE).fill(VENDOR_WINDOW_FILL, 0, WINDOW_START);
+    let windowIndex = WINDOW_START;
+    const outputBuffer = createDecompressionBuffer(buffer, options);
+    let bufferByteIndex = 0;
+    const dataEnd = findStreamEnd(buffer);
+    const isComplete = () => bufferByteIndex >= dataEnd
+        || (options.expectedSize !== undefined && outputBuffer.length >= options.expectedSize);
 
-    if (options === undefined) {
-        options = {};
-    }
+    const writeNextByte = (value) => {
+        outputBuffer.writeUInt8(value);
+        window[windowIndex] = value;
+        windowIndex = (windowIndex + 1) & (LOOKUP_BUFFER_SIZE - 1);
+    };
+
+    decoding:
+        while (!isComplete()) {
+            const flagByte = buffer[bufferByteIndex++];
+
+            if (options.traceCallback) {
+                options.traceCallback(createFlagsToken(bufferByteIndex - 1, outputBuffer.length, flagByte));
+            }
+
+            for (let bitIndex = 0; bitIndex < 8; bitIndex++) {
+                if (isComplete()) {
+                    break decoding;
+                }
+
+                if ((flagByte >> bitIndex) & 1) {
+                    if (options.traceCallback) {
+                        options.traceCallback(createLiteralToken(bufferByteIndex, outputBuffer.length,
+                            buffer[bufferByteIndex]));
+                    }
+
+                    writeNextByte(buffer[bufferByteIndex++]);
+                } else {
+                    const lookup1 = buffer[bufferByteIndex++];
+                    const lookup2 = buffer[bufferByteIndex++];
+                    const lookupIndex = lookup1 | ((lookup2 & 0xF0) << 4);
+                    const lookupLength = (lookup2 & 0x0F) + LOOKUP_MIN_LENGTH;
+
+                    if (options.traceCallback) {
+                        options.traceCallback(createLookupToken(bufferByteIndex - 2, outputBuffer.length, lookupIndex,
+                            lookupLength, windowIndex));
+                    }
+
+                    for (let x = 0; x < lookupLength; x++) {
+                        writeNextByte(window[(lookupIndex + x) & (LOOKUP_BUFFER_SIZE - 1)]);
+                    }
+                }
+            }
+        }
+
+    return outputBuffer.toBuffer();
+}
+
+/**
+ * Compresses data with the greedy encoder of this tool, which matches the semantics of decompressLegacy.
+ */
+function compressLegacy(buffer, options) {
+    const logger = getLogger(options);
+    const tracer = createGroupTracer(options);
 
     let bufferByteIndex = 0;
-    const lookupBuffer = new RingBuffer(LOOKUP_BUFFER_SIZE, LOOKUP_BUFFER_SIZE - LOOKUP_MAX_LENGTH);
+    const lookupBuffer = new RingBuffer(LOOKUP_BUFFER_SIZE, WINDOW_START);
+    const matchFinder = new MatchFinder(buffer, lookupBuffer);
     const outputBuffer = Buffer.alloc(buffer.length * 2); // compressed data should never be larger than the uncompressed data but just to be save we use a larger buffer
     let outputBufferByteIndex = 0;
 
@@ -283,31 +829,20 @@ function compress(buffer, options) {
 
     const writeNextByte = (value) => {
         if (outputBufferByteIndex === outputBuffer.length) {
-            throw 'Output buffer is full, cannot write more data';
+            throw new CompressionError('Output buffer is full, cannot write more data', 'ERR_OUTPUT_BUFFER_FULL');
         }
 
         outputBuffer.writeUInt8(value, outputBufferByteIndex++);
     };
 
-    let lastPercent = 0;
+    const reportProgress = createProgressReporter(buffer.length, getLogger(options));
 
     while (bufferByteIndex < buffer.length) {
         const flags = [];
         // A temporary output buffer that holds all bytes while the flags byte is built
         const outputBuffer = [];
 
-        // Calculate progress
-        const percent = Math.round(bufferByteIndex / buffer.length * 100);
-        if (percent > lastPercent) {
-            lastPercent = percent;
-            if (percent > 1) {
-                process.stdout.write(`\r`);
-            }
-            process.stdout.write(`${percent}%`);
-            if (percent === 100) {
-                console.log(); // add line break
-            }
-        }
+        reportProgress(bufferByteIndex);
 
         // Every 8 flags we write the flag byte and the output buffer to the output
         while (flags.length < 8) {
@@ -315,8 +850,14 @@ function compress(buffer, options) {
 
             if (remainingInputBytes === 0) {
                 // Fill up flags & write buffer and exit compression loop
-                console.log(`early end detected`);
+                logger.debug(`early end detected`);
+                // The decoder writes the fill bytes after the end of the data
+                let fillPosition = bufferByteIndex;
                 while (flags.length < 8) {
+                    if (tracer.enabled) {
+                        tracer.add(createLiteralToken(outputBufferByteIndex + 1 + outputBuffer.length,
+                            fillPosition++, 0));
+                    }
                     flags.push(true);
                     outputBuffer.push(0);
                 }
@@ -333,44 +874,43 @@ function compress(buffer, options) {
             bufferByteIndex -= lookup.length;
 
             // Check if we find the lookup data in the lookup buffer
-            // We start with the longest sequence and decrease the length step by step until we have a match or
-            // in the worst case no match at all
-            const [length, index] = lookupBuffer.find(lookup);
+            const [length, index] = matchFinder.find(lookup, bufferByteIndex);
 
             if (index === -1 || length < LOOKUP_MIN_LENGTH) {
                 // Lookup was unsuccessful, we just copy the byte into the output
                 flags.push(true); // true === copy byte
+                matchFinder.insert(bufferByteIndex);
+                if (tracer.enabled) {
+                    tracer.add(createLiteralToken(outputBufferByteIndex + 1 + outputBuffer.length,
+                        bufferByteIndex, buffer[bufferByteIndex]));
+                }
                 const nextByte = readNextByte();
                 outputBuffer.push(nextByte);
                 lookupBuffer.appendUInt8(nextByte);
-                if (VERBOSE) {
-                    logByteCopy(outputBufferByteIndex + outputBuffer.length, nextByte);
-                }
             } else {
                 // Lookup success
                 flags.push(false); // false === lookup bytes
 
                 if (index > LOOKUP_DATA_MAX_INDEX) {
-                    throw `invalid lookup index size ${index}`;
+                    throw new CompressionError(`invalid lookup index size ${index}`);
                 }
                 if (length > LOOKUP_MAX_LENGTH) {
-                    throw `invalid lookup length ${length}`;
+                    throw new CompressionError(`invalid lookup length ${length}`);
                 }
 
                 const lookup1 = index & 0xFF;
                 const lookup2 = ((index & 0xF00) >> 4) | ((length - LOOKUP_MIN_LENGTH) & 0x0F);
 
+                if (tracer.enabled) {
+                    tracer.add(createLookupToken(outputBufferByteIndex + 1 + outputBuffer.length, bufferByteIndex,
+                        index, length, lookupBuffer.bufferIndex));
+                }
+
                 outputBuffer.push(lookup1);
                 outputBuffer.push(lookup2);
 
-                if (VERBOSE) {
-                    logLookup(outputBufferByteIndex + outputBuffer.length - 1, lookup1, lookup2, index, length);
-                }
-                if (options.lookupCallback) {
-                    options.lookupCallback([outputBufferByteIndex + outputBuffer.length - 1, bufferByteIndex, index, length, lookupBuffer.bufferIndex]);
-                }
-
                 for (let i = 0; i < length; i++) {
+                    matchFinder.insert(bufferByteIndex);
                     lookupBuffer.appendUInt8(readNextByte());
                 }
             }
@@ -378,9 +918,7 @@ function compress(buffer, options) {
 
         // We have 8 flags, so we can now write the flags byte...
         const flagByte = encodeFlagByte(flags);
-        if (VERBOSE) {
-            logFlags(outputBufferByteIndex, flagByte, flags);
-        }
+        tracer.flush(outputBufferByteIndex, flagByte);
         writeNextByte(flagByte);
         // ... and the pertaining data (data & lookup)
         outputBuffer.forEach(byte => writeNextByte(byte));
@@ -389,5 +927,288 @@ function compress(buffer, options) {
     return outputBuffer.slice(0, outputBufferByteIndex);
 }
 
+/**
+ * Compresses data like the LZSS.C reference encoder, see SearchTree.
+ */
+function compressVendor(buffer, options) {
+    // The text buffer mirrors the first LOOKUP_MAX_LENGTH - 1 bytes at its end to simplify string comparisons
+    const textBuffer = Buffer.alloc(LOOKUP_BUFFER_SIZE + LOOKUP_MAX_LENGTH - 1);
+    const tree = new SearchTree(textBuffer);
+    // Worst case: only literals, which need 9 bytes for every 8 input bytes
+    const outputBuffer = Buffer.alloc(Math.ceil(buffer.length / 8) * 9);
+    let outputBufferByteIndex = 0;
+    let bufferByteIndex = 0;
+    const reportProgress = createProgressReporter(buffer.length, getLogger(options));
+    const tracer = createGroupTracer(options);
+
+    // A group of a flag byte and up to 8 literals/lookups
+    const codeBuffer = Buffer.alloc(1 + 8 * 2);
+    let codeBufferIndex = 1;
+    let mask = 1;
+
+    const flushCodeBuffer = () => {
+        tracer.flush(outputBufferByteIndex, codeBuffer[0]);
+        codeBuffer.copy(outputBuffer, outputBufferByteIndex, 0, codeBufferIndex);
+        outputBufferByteIndex += codeBufferIndex;
+        codeBuffer[0] = 0;
+        codeBufferIndex = 1;
+        mask = 1;
+    };
+
+    let s = 0;
+    let r = WINDOW_START;
+    textBuffer.fill(VENDOR_WINDOW_FILL, s, r);
+
+    // Read the initial lookahead
+    let lookaheadLength = 0;
+    while (lookaheadLength < LOOKUP_MAX_LENGTH && bufferByteIndex < buffer.length) {
+        textBuffer[r + lookaheadLength++] = buffer[bufferByteIndex++];
+    }
+
+    if (lookaheadLength === 0) {
+        return Buffer.alloc(0);
+    }
+
+    // Insert the strings of the prefilled window, then the first input string
+    for (let i = 1; i <= LOOKUP_MAX_LENGTH; i++) {
+        tree.insert(r - i);
+    }
+    tree.insert(r);
+
+    do {
+        reportProgress(bufferByteIndex - lookaheadLength);
+
+        let matchLength = Math.min(tree.matchLength, lookaheadLength);
+
+        if (matchLength < LOOKUP_MIN_LENGTH) {
+            matchLength = 1;
+            codeBuffer[0] |= mask;
+
+            if (tracer.enabled) {
+                tracer.add(createLiteralToken(outputBufferByteIndex + codeBufferIndex,
+                    bufferByteIndex - lookaheadLength, textBuffer[r]));
+            }
+
+            codeBuffer[codeBufferIndex++] = textBuffer[r];
+        } else {
+            const matchPosition = tree.matchPosition;
+
+            if (tracer.enabled) {
+                tracer.add(createLookupToken(outputBufferByteIndex + codeBufferIndex, bufferByteIndex - lookaheadLength,
+                    matchPosition, matchLength, r));
+            }
+
+            codeBuffer[codeBufferIndex++] = matchPosition & 0xFF;
+            codeBuffer[codeBufferIndex++] = ((matchPosition >> 4) & 0xF0) | (matchLength - LOOKUP_MIN_LENGTH);
+        }
+
+        mask = (mask << 1) & 0xFF;
+        if (mask === 0) {
+            flushCodeBuffer();
+        }
+
+        // Slide the window over the encoded bytes
+        let i;
+        for (i = 0; i < matchLength && bufferByteIndex < buffer.length; i++) {
+            tree.delete(s);
+            const byte = buffer[bufferByteIndex++];
+            textBuffer[s] = byte;
+            if (s < LOOKUP_MAX_LENGTH - 1) {
+                textBuffer[s + LOOKUP_BUFFER_SIZE] = byte;
+            }
+            s = (s + 1) & (LOOKUP_BUFFER_SIZE - 1);
+            r = (r + 1) & (LOOKUP_BUFFER_SIZE - 1);
+            tree.insert(r);
+        }
+        // At the end of the input, the lookahead shrinks
+        for (; i < matchLength; i++) {
+            tree.delete(s);
+            s = (s + 1) & (LOOKUP_BUFFER_SIZE - 1);
+            r = (r + 1) & (LOOKUP_BUFFER_SIZE - 1);
+            if (--lookaheadLength) {
+                tree.insert(r);
+            }
+        }
+    } while (lookaheadLength > 0);
+
+    // Write the last, incomplete group
+    if (codeBufferIndex > 1) {
+        flushCodeBuffer();
+    }
+
+    reportProgress(buffer.length);
+
+    return outputBuffer.slice(0, outputBufferByteIndex);
+}
+
+/**
+ * Compresses data with an optimal parse instead of greedily. The longest match at every input position is searched
+ * first, then the tokens are chosen backwards from the end so that the sum of their sizes (LITERAL_COST and
+ * LOOKUP_COST) is minimal. The format is the same, so both decoders can read the output: lookups only reference
+ * input that has already been written, and with the legacy encoding they must not overlap the bytes they produce.
+ * The end of the data is written like the greedy encoder of the encoding writes it.
+ * @param buffer
+ * @param options.traceCallback
+ * @param options.logger receives the progress of the match search
+ * @param encoding
+ * @returns {Buffer}
+ */
+function compressBest(buffer, options, encoding) {
+    const length = buffer.length;
+    const allowOverlap = encoding === ENCODING_VENDOR;
+    const reportProgress = createProgressReporter(length, getLogger(options));
+    const matchLengths = new Uint8Array(length);
+    const matchIndexes = new Uint16Array(length);
+    const head = new Int32Array(1 << HASH_BITS).fill(-1);
+    const previous = new Int32Array(length);
+    const hash = (position) => Math.imul(buffer[position] << 16 | buffer[position + 1] << 8 | buffer[position + 2],
+        0x9E3779B1) >>> (32 - HASH_BITS);
+
+    // Find the longest match at every position, from the most recent to the oldest position in the window
+    for (let position = 0; position + LOOKUP_MIN_LENGTH <= length; position++) {
+        reportProgress(position);
+
+        const maxLength = Math.min(LOOKUP_MAX_LENGTH, length - position);
+        const minCandidate = position - (LOOKUP_BUFFER_SIZE - 1);
+        const positionHash = hash(position);
+        let bestLength = 0;
+        let bestCandidate = -1;
+
+        for (let candidate = head[positionHash]; candidate >= minCandidate && candidate >= 0;
+             candidate = previous[candidate]) {
+            const candidateMaxLength = allowOverlap ? maxLength : Math.min(maxLength, position - candidate);
+
+            // Quickly skip candidates that cannot be longer than the current best match
+            if (candidateMaxLength <= bestLength
+                || buffer[candidate + bestLength] !== buffer[position + bestLength]) {
+                continue;
+            }
+
+            let candidateLength = 0;
+            while (candidateLength < candidateMaxLength
+            && buffer[candidate + candidateLength] === buffer[position + candidateLength]) {
+                candidateLength++;
+            }
+
+            if (candidateLength > bestLength) {
+                bestLength = candidateLength;
+                bestCandidate = candidate;
+
+                if (bestLength === maxLength) {
+                    break;
+                }
+            }
+        }
+
+        if (bestLength >= LOOKUP_MIN_LENGTH) {
+            matchLengths[position] = bestLength;
+            matchIndexes[position] = (WINDOW_START + bestCandidate) % LOOKUP_BUFFER_SIZE;
+        }
+
+        previous[position] = head[positionHash];
+        head[positionHash] = position;
+    }
+
+    // Choose the cheapest token at every position, given the cheapest encoding of the remaining data; on equal cost,
+    // the longer lookup wins
+    const costs = new Uint32Array(length + 1);
+    const tokenLengths = new Uint8Array(length);
+    for (let position = length - 1; position >= 0; position--) {
+        let bestCost = costs[position + 1] + LITERAL_COST;
+        let bestLength = 1;
+
+        for (let lookupLength = LOOKUP_MIN_LENGTH; lookupLength <= matchLengths[position]; lookupLength++) {
+            const cost = costs[position + lookupLength] + LOOKUP_COST;
+            if (cost <= bestCost) {
+                bestCost = cost;
+                bestLength = lookupLength;
+            }
+        }
+
+        costs[position] = bestCost;
+        tokenLengths[position] = bestLength;
+    }
+
+    // Worst case: only literals, plus the literals that fill the last group of the legacy encoding
+    const outputBuffer = Buffer.alloc((Math.ceil(length / 8) + 1) * 9);
+    let outputBufferByteIndex = 0;
+    let flagByteIndex = 0;
+    let tokenCount = 0;
+    const tracer = createGroupTracer(options);
+
+    const writeFlag = (literal) => {
+        if (tokenCount % 8 === 0) {
+            if (tokenCount > 0) {
+                tracer.flush(flagByteIndex, outputBuffer[flagByteIndex]);
+            }
+            flagByteIndex = outputBufferByteIndex++;
+        }
+        if (literal) {
+            outputBuffer[flagByteIndex] |= 1 << (tokenCount % 8);
+        }
+        tokenCount++;
+    };
+
+    let position = 0;
+    while (position < length) {
+        const tokenLength = tokenLengths[position];
+
+        if (tokenLength === 1) {
+            writeFlag(true);
+
+            if (tracer.enabled) {
+                tracer.add(createLiteralToken(outputBufferByteIndex, position, buffer[position]));
+            }
+
+            outputBuffer[outputBufferByteIndex++] = buffer[position];
+        } else {
+            const index = matchIndexes[position];
+            writeFlag(false);
+
+            if (tracer.enabled) {
+                tracer.add(createLookupToken(outputBufferByteIndex, position, index, tokenLength,
+                    (WINDOW_START + position) % LOOKUP_BUFFER_SIZE));
+            }
+
+            outputBuffer[outputBufferByteIndex++] = index & 0xFF;
+            outputBuffer[outputBufferByteIndex++] = ((index & 0xF00) >> 4) | (tokenLength - LOOKUP_MIN_LENGTH);
+        }
+
+        position += tokenLength;
+    }
+
+    // The legacy decoder reads whole groups, so the last one is filled up with zero literals
+    if (encoding === ENCODING_LEGACY) {
+        let fillPosition = length;
+        while (tokenCount % 8 !== 0) {
+            writeFlag(true);
+
+            if (tracer.enabled) {
+                tracer.add(createLiteralToken(outputBufferByteIndex, fillPosition++, 0));
+            }
+
+            outputBuffer[outputBufferByteIndex++] = 0;
+        }
+    }
+
+    if (tokenCount > 0) {
+        tracer.flush(flagByteIndex, outputBuffer[flagByteIndex]);
+    }
+
+    reportProgress(length);
+
+    return outputBuffer.slice(0, outputBufferByteIndex);
+}
+
+exports.ENCODING_LEGACY = ENCODING_LEGACY;
+exports.ENCODING_VENDOR = ENCODING_VENDOR;
+exports.ENCODINGS = ENCODINGS;
+exports.TOKEN_FLAGS = TOKEN_FLAGS;
+exports.TOKEN_LITERAL = TOKEN_LITERAL;
+exports.TOKEN_LOOKUP = TOKEN_LOOKUP;
+exports.MODE_GREEDY = MODE_GREEDY;
+exports.MODE_BEST = MODE_BEST;
+exports.MODES = MODES;
 exports.decompress = decompress;
-exports.compress = compress;
\ No newline at end of file
+exports.compress = compress;
+exports.findStreamEnd = findStreamEnd;
\ No newline at end of file
@@ -0,0 +1,146 @@
+/*
+ * YI Mirrorless Firmware Tools
+ * Author: Mario Guggenberger <mg@protyposis.net>
+ * Licensed under the GPLv3
+ */
+'use strict';
+
+const lzss = require('./lzss');
+const {ManifestError} = require('./errors');
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.length > 0 && !/\s/.test(value);
+
+/**
+ * Parses a number that is given as number or as string, e.g. "0x1600000".
+ */
+const parseNumber = (value, name) => {
+    const number = typeof value === 'string' ? Number(value) : value;
+
+    if (!Number.isInteger(number) || number < 0) {
+        throw new ManifestError(`invalid ${name} "${value}"`);
+    }
+
+    return number;
+};
+
+/**
+ * Parses and validates the JSON of a manifest that describes a firmware file to create:
+ *
+ * {
+ *   "description": "...",
+ *   "filename": "firmware.bin", (optional, the name of the created file)
+ *   "encoding": "legacy", (optional, the LZSS encoding of the compressed subsections)
+ *   "leadingSpaces": 0, (optional, the number of spaces before the first header)
+ *   "deviceId": "C59Y1", "version": "M1INT", "dvr": "Ver1.37", (defaults of the header fields of all sections)
+ *   "sections": [{
+ *     "subsections": [{"file": "code.0.bin", "compressed": false}, ...] (only the first section)
+ *   }, {
+ *     "id": "ND1", (required for all but the first section)
+ *     "file": "nd1.bin", (relative to the manifest)
+ *     "offset": 23068672 or "0x1600000", (optional)
+ *     "dvr": null (overrides a default, null omits the field)
+ *   }]
+ * }
+ * @param json
+ * @returns {{filename: string|undefined, encoding: string, leadingSpaces: number, sections: Array}} the manifest
+ * with parsed numbers and the header fields of every section
+ */
+function parseManifest(json) {
+    let manifest;
+
+    try {
+        manifest = JSON.parse(json);
+    } catch (error) {
+        throw new ManifestError(`invalid manifest: ${error.message}`);
+    }
+
+    if (!manifest || !Array.isArray(manifest.sections) || manifest.sections.length === 0) {
+        throw new ManifestError(`invalid manifest, no sections found`);
+    }
+
+    const encoding = manifest.encoding || lzss.ENCODING_LEGACY;
+    if (lzss.ENCODINGS.indexOf(encoding) === -1) {
+        throw new ManifestError(`unknown encoding ${encoding}`);
+    }
+
+    const field = (section, key) => section[key] !== undefined ? section[key] : manifest[key];
+
+    const sections = manifest.sections.map((section, index) => {
+        const name = `section ${index}`;
+        const parsedSection = {
+            id: section.id,
+            deviceId: field(section, 'deviceId'),
+            version: field(section, 'version'),
+            dvr: field(section, 'dvr'),
+            offset: section.offset !== undefined ? parseNumber(section.offset, `${name} offset`) : undefined,
+            file: section.file,
+            subsections: undefined,
+        };
+
+        if (index === 0 && parsedSection.id !== undefined) {
+            throw new ManifestError(`${name}: the first section has no id`);
+        }
+        if (index > 0 && !isNonEmptyString(parsedSection.id)) {
+            throw new ManifestError(`${name}: id missing`);
+        }
+        if (!isNonEmptyString(parsedSection.deviceId) || !isNonEmptyString(parsedSection.version)) {
+            throw new ManifestError(`${name}: deviceId and version are required`);
+        }
+        if (parsedSection.dvr !== undefined && parsedSection.dvr !== null && !isNonEmptyString(parsedSection.dvr)) {
+            throw new ManifestError(`${name}: invalid dvr "${parsedSection.dvr}"`);
+        }
+
+        if (section.subsections !== undefined) {
+            if (index > 0) {
+                throw new ManifestError(`${name}: only the first section can be split into subsections`);
+            }
+            if (section.file !== undefined) {
+                throw new ManifestError(`${name}: either file or subsections are required, not both`);
+            }
+            if (!Array.isArray(section.subsections) || section.subsections.length === 0) {
+                throw new ManifestError(`${name}: subsections must be a non-empty array`);
+            }
+
+            parsedSection.subsections = section.subsections.map((subsection, subsectionIndex) => {
+                if (!subsection || typeof subsection.file !== 'string') {
+                    throw new ManifestError(`subsection ${index}.${subsectionIndex}: file missing`);
+                }
+                return {file: subsection.file, compressed: subsection.compressed === true};
+            });
+        } else if (typeof section.file !== 'string') {
+            throw new ManifestError(`${name}: file missing`);
+        }
+
+        return parsedSection;
+    });
+
+    return {
+        filename: manifest.filename,
+        encoding: encoding,
+        leadingSpaces: manifest.leadingSpaces !== undefined ? parseNumber(manifest.leadingSpaces, 'leadingSpaces') : 0,
+        sections: sections,
+    };
+}
+
+/**
+ * Builds the raw header of a section of a manifest, with LENGTH and SUM set to 0. The first section lists the ids of
+ * the following sections.
+ * @param section a section from parseManifest
+ * @param followingSectionIds the ids of the following sections, for the first section
+ * @returns {string}
+ */
+function buildRawHeader(section, followingSectionIds) {
+    return [
+        section.id,
+        'LENGTH=0',
+        section.deviceId,
+        `VER=${section.version}`,
+        section.dvr ? `DVR=${section.dvr}` : undefined,
+        'SUM=0',
+        ...(followingSectionIds || []),
+        section.offset !== undefined ? `OFFSET=${section.offset}` : undefined,
+    ].filter(token => token !== undefined).join(' ');
+}
+
+exports.parseManifest = parseManifest;
+exports.buildRawHeader = buildRawHeader;
@@ -0,0 +1,138 @@
+/*
+ * YI Mirrorless Firmware Tools
+ * Author: Mario Guggenberger <mg@protyposis.net>
+ * Licensed under the GPLv3
+ */
+'use strict';
+
+const path = require('path');
+const lzss = require('./lzss');
+const {MetadataError} = require('./errors');
+
+/*
+ * The metadata file (.unpack) written by unpack describes how to repack the unpacked files. Version 1:
+ *
+ * {
+ *   "version": 1,
+ *   "filename": "firmware.bin",          the name of the unpacked firmware file
+ *   "encoding": "legacy",                the LZSS encoding to recompress with, see lzss.ENCODINGS
+ *   "leadingSpaces": 0,                  the number of spaces before the first header
+ *   "sections": [{
+ *     "filename": "firmware.bin.0",      the section body, relative to the metadata file
+ *     "sha256": "...",                   the SHA-256 of the file as written by unpack, or null if unknown
+ *     "rawHeader": "...",                the header, of which LENGTH and SUM are updated by repack
+ *     "parsedHeader": {...},
+ *     "subsections": [{                  empty if the section is not split
+ *       "filename": "...",               the subsection data as found in the section, including its padding
+ *       "sha256": "...",
+ *       "compressed": true,
+ *       "filenameDecompressed": "...",   only for compressed subsections
+ *       "sha256Decompressed": "..."
+ *     }],
+ *     "partitionTable": {                only for the PTBL section
+ *       "filename": "...",               the editable entries
+ *       "entries": [...]                 the entries as decoded by unpack
+ *     }
+ *   }]
+ * }
+ *
+ * Version 0 files lack leadingSpaces and the hashes, and the files of the original tool also lack the encoding. They
+ * are migrated with leadingSpaces 0, the legacy encoding (the only encoding of the original tool) if none is given,
+ * and unknown hashes, which repack treats as changed files.
+ */
+const METADATA_VERSION = 1;
+
+const isSha256 = (value) => value === null || (typeof value === 'string' && /^[0-9a-f]{64}$/.test(value));
+const isFileName = (value) => typeof value === 'string' && value.length > 0 && path.basename(value) === value;
+
+/**
+ * Migrates metadata of an older version to the current version.
+ * @param metadata
+ * @returns {Object} the migrated metadata, or the metadata itself if it is current
+ */
+function migrateMetadata(metadata) {
+    if (!metadata || typeof metadata !== 'object' || typeof metadata.version !== 'number') {
+        throw new MetadataError(`metadata has no version`);
+    }
+    if (metadata.version > METADATA_VERSION) {
+        throw new MetadataError(`metadata version ${metadata.version} is not supported, the newest supported`
+            + ` version is ${METADATA_VERSION}`);
+    }
+    if (metadata.version === METADATA_VERSION) {
+        return metadata;
+    }
+
+    return Object.assign({}, metadata, {
+        version: METADATA_VERSION,
+        encoding: metadata.encoding || lzss.ENCODING_LEGACY,
+        leadingSpaces: 0,
+        sections: (Array.isArray(metadata.sections) ? metadata.sections : []).map(section => Object.assign({}, section, {
+            sha256: null,
+            subsections: (section.subsections || []).map(subsection => Object.assign({}, subsection, {
+                sha256: null,
+                sha256Decompressed: subsection.compressed ? null : undefined,
+            })),
+        })),
+    });
+}
+
+/**
+ * Validates metadata of the current version against the schema.
+ * @param metadata
+ * @returns {Object} the metadata
+ */
+function validateMetadata(metadata) {
+    const check = (valid, name, requirement) => {
+        if (!valid) {
+            throw new MetadataError(`invalid metadata, ${name} ${requirement}`);
+        }
+    };
+
+    check(metadata.version === METADATA_VERSION, 'version', `must be ${METADATA_VERSION}`);
+    check(isFileName(metadata.filename), 'filename', 'must be a file name');
+    check(lzss.ENCODINGS.indexOf(metadata.encoding) !== -1, 'encoding', `must be one of ${lzss.ENCODINGS.join(', ')}`);
+    check(Number.isInteger(metadata.leadingSpaces) && metadata.leadingSpaces >= 0, 'leadingSpaces',
+        'must be a non-negative integer');
+    check(Array.isArray(metadata.sections) && metadata.sections.length > 0, 'sections', 'must be a non-empty array');
+
+    metadata.sections.forEach((section, sectionIndex) => {
+        const name = `sections[${sectionIndex}]`;
+
+        check(section && typeof section === 'object', name, 'must be an object');
+        check(isFileName(section.filename), `${name}.filename`, 'must be a file name');
+        check(isSha256(section.sha256), `${name}.sha256`, 'must be a SHA-256 hash or null');
+        check(typeof section.rawHeader === 'string', `${name}.rawHeader`, 'must be a string');
+        check(section.parsedHeader && typeof section.parsedHeader === 'object', `${name}.parsedHeader`,
+            'must be an object');
+        check(Array.isArray(section.subsections), `${name}.subsections`, 'must be an array');
+
+        section.subsections.forEach((subsection, subsectionIndex) => {
+            const subsectionName = `${name}.subsections[${subsectionIndex}]`;
+
+            check(subsection && typeof subsection === 'object', subsectionName, 'must be an object');
+            check(isFileName(subsection.filename), `${subsectionName}.filename`, 'must be a file name');
+            check(isSha256(subsection.sha256), `${subsectionName}.sha256`, 'must be a SHA-256 hash or null');
+            check(typeof subsection.compressed === 'boolean', `${subsectionName}.compressed`, 'must be a boolean');
+
+            if (subsection.compressed) {
+                check(isFileName(subsection.filenameDecompressed), `${subsectionName}.filenameDecompressed`,
+                    'must be a file name');
+                check(isSha256(subsection.sha256Decompressed), `${subsectionName}.sha256Decompressed`,
+                    'must be a SHA-256 hash or null');
+            }
+        });
+
+        if (section.partitionTable !== undefined) {
+            check(section.partitionTable && isFileName(section.partitionTable.filename),
+                `${name}.partitionTable.filename`, 'must be a file name');
+            check(Array.isArray(section.partitionTable.entries), `${name}.partitionTable.entries`,
+                'must be an array');
+        }
+    });
+
+    return metadata;
+}
+
+exports.METADATA_VERSION = METADATA_VERSION;
+exports.migrateMetadata = migrateMetadata;
+exports.validateMetadata = validateMetadata;
@@ -0,0 +1,250 @@
+/*
+ * YI Mirrorless Firmware Tools
+ * Author: Mario Guggenberger <mg@protyposis.net>
+ * Licensed under the GPLv3
+ */
+'use strict';
+
+const {StringTableError} = require('./errors');
+
+const ND1_ID = 'ND1';
+const STRING_MAX_LENGTH = 1024;
+const STRING_TABLE_MIN_STRINGS = 8;
+const STRING_TABLE_MAX_GAP = 16;
+
+/**
+ * Checks if a text can be stored as a string in a string table: it must survive the round trip through UTF-8 and
+ * must not contain control characters except line breaks and tabs.
+ * @param text
+ * @returns {boolean}
+ */
+function isValidText(text) {
+    return text.length > 0
+        && Buffer.from(text, 'utf8').toString('utf8') === text
+        && !/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F\uFFFD]/.test(text);
+}
+
+/**
+ * Reads the NUL-terminated UTF-8 string at a position.
+ * @returns {{offset: number, byteLength: number, text: string}|null} the string, or null if there is no valid string
+ */
+const readString = (buffer, position) => {
+    const end = buffer.indexOf(0x00, position);
+
+    if (end === -1 || end === position || end - position > STRING_MAX_LENGTH) {
+        return null;
+    }
+
+    const text = buffer.toString('utf8', position, end);
+
+    if (!isValidText(text) || Buffer.byteLength(text, 'utf8') !== end - position) {
+        return null;
+    }
+
+    return {offset: position, byteLength: end - position, text: text};
+};
+
+/**
+ * Checks if a table candidate starts with or mostly consists of single characters, which is how UTF-16 text reads as
+ * UTF-8: every ASCII character is followed by a NUL byte. Writing such strings would corrupt the text.
+ * @param strings
+ * @returns {boolean}
+ */
+const isSplitText = (strings) => strings[0].text.length === 1
+    || strings.filter(string => string.text.length === 1).length * 2 > strings.length;
+
+/**
+ * Finds the string tables in the ND1 memory image. A string table is a sequence of at least 8 NUL-terminated UTF-8
+ * strings that are separated by nothing but their NUL padding, which neither start with a single character nor are
+ * mostly single characters (UTF-16 text is not supported, see isSplitText). The format of ND1 is not known, so this is a heuristic that can miss tables
+ * and find things that are no string tables. Usually each table holds the texts of one language, but the language is
+ * not known.
+ * @param buffer the ND1 section data
+ * @returns {Array} the tables with their index, offset and strings, every string with its offset, text and capacity
+ * (the maximum byte length of a replacement text)
+ */
+function findStringTables(buffer) {
+    const tables = [];
+    let position = 0;
+
+    while (position < buffer.length) {
+        const strings = [];
+        let tablePosition = position;
+
+        for (;;) {
+            const string = readString(buffer, tablePosition);
+
+            if (string === null) {
+                break;
+            }
+
+            // The padding after the terminator belongs to the string
+            let paddingEnd = string.offset + string.byteLength + 1;
+            while (paddingEnd < buffer.length && buffer[paddingEnd] === 0x00
+            && paddingEnd - (string.offset + string.byteLength) <= STRING_TABLE_MAX_GAP) {
+                paddingEnd++;
+            }
+
+            strings.push({
+                offset: string.offset,
+                capacity: paddingEnd - string.offset - 1,
+                text: string.text,
+            });
+
+            tablePosition = paddingEnd;
+        }
+
+        if (strings.length >= STRING_TABLE_MIN_STRINGS && !isSplitText(strings)) {
+            tables.push({
+                index: tables.length,
+                offset: strings[0].offset,
+                strings: strings,
+            });
+            position = tablePosition;
+        } else if (strings.length > 0) {
+            // Continue after the first string, a table cannot start within it
+            position = strings[0].offset + Buffer.byteLength(strings[0].text, 'utf8') + 1;
+        } else {
+            position++;
+        }
+    }
+
+    return tables;
+}
+
+/**
+ * Writes edited strings back into the ND1 memory image. Every string is checked against the string that is currently
+ * stored at its offset, to detect tables exported from another image, and against its capacity.
+ * @param buffer the ND1 section data
+ * @param strings the strings with offset, original text and new text
+ * @returns {{data: Buffer, changed: number}} a copy of the data with the strings written, and the number of changed
+ * strings
+ */
+function writeStrings(buffer, strings) {
+    const output = Buffer.from(buffer);
+    let changed = 0;
+
+    strings.forEach(string => {
+        if (string.text === string.original) {
+            return;
+        }
+
+        const current = readString(output, string.offset);
+        if (current !== null && current.text === string.text) {
+            // Already written by a previous import
+            return;
+        }
+        if (current === null || current.text !== string.original) {
+            throw new StringTableError(`string at offset ${string.offset} does not match "${string.original}"`);
+        }
+
+        if (!isValidText(string.text)) {
+            throw new StringTableError(`invalid text for the string at offset ${string.offset}: "${string.text}"`
+                + ` (must be non-empty and must not contain control characters)`);
+        }
+
+        const textData = Buffer.from(string.text, 'utf8');
+        if (textData.length > string.capacity) {
+            throw new StringTableError(`text for the string at offset ${string.offset} is too long`
+                + ` (${textData.length} > ${string.capacity} bytes): "${string.text}"`);
+        }
+
+        output.fill(0x00, string.offset, string.offset + string.capacity + 1);
+        textData.copy(output, string.offset);
+        changed++;
+    });
+
+    return {data: output, changed: changed};
+}
+
+const escapePoString = (text) => text
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t');
+
+const unescapePoString = (text) => text.replace(/\\(.)/g, (match, character) => {
+    return {n: '\n', r: '\r', t: '\t'}[character] || character;
+});
+
+/**
+ * Formats a string table as a gettext PO file. The offset and capacity of every string are stored in its context,
+ * the original text is the msgid and the msgstr is left empty for translation.
+ * @param table
+ * @returns {string}
+ */
+function formatPo(table) {
+    const entries = table.strings.map(string => [
+        `#. max ${string.capacity} bytes`,
+        `msgctxt "${string.offset}:${string.capacity}"`,
+        `msgid "${escapePoString(string.text)}"`,
+        `msgstr ""`,
+    ].join('\n'));
+
+    return [
+        `# ND1 string table ${table.index} at offset ${table.offset}`,
+        `msgid ""`,
+        `msgstr ""`,
+        `"Content-Type: text/plain; charset=UTF-8\\n"`,
+        '',
+        entries.join('\n\n'),
+        '',
+    ].join('\n');
+}
+
+/**
+ * Parses a PO file written by formatPo. Strings with an empty msgstr keep their original text.
+ * @param text
+ * @returns {Array} the strings with offset, capacity, original text and new text
+ */
+function parsePo(text) {
+    const strings = [];
+    let entry = {};
+    let field = null;
+
+    const finishEntry = () => {
+        if (entry.msgctxt !== undefined) {
+            const [offset, capacity] = entry.msgctxt.split(':').map(value => parseInt(value, 10));
+
+            if (isNaN(offset) || isNaN(capacity)) {
+                throw new StringTableError(`invalid PO context "${entry.msgctxt}"`);
+            }
+
+            strings.push({
+                offset: offset,
+                capacity: capacity,
+                original: entry.msgid,
+                text: entry.msgstr ? entry.msgstr : entry.msgid,
+            });
+        }
+        entry = {};
+        field = null;
+    };
+
+    text.split(/\r?\n/).forEach(line => {
+        const keywordMatch = line.match(/^(msgctxt|msgid|msgstr) "(.*)"$/);
+        const continuationMatch = line.match(/^"(.*)"$/);
+
+        if (keywordMatch) {
+            if (keywordMatch[1] === 'msgctxt' || (keywordMatch[1] === 'msgid' && field === 'msgstr')) {
+                finishEntry();
+            }
+            field = keywordMatch[1];
+            entry[field] = unescapePoString(keywordMatch[2]);
+        } else if (continuationMatch && field) {
+            entry[field] += unescapePoString(continuationMatch[1]);
+        } else if (line.trim() === '') {
+            finishEntry();
+        }
+    });
+    finishEntry();
+
+    return strings;
+}
+
+exports.ND1_ID = ND1_ID;
+exports.findStringTables = findStringTables;
+exports.writeStrings = writeStrings;
+exports.formatPo = formatPo;
+exports.parsePo = parsePo;
@@ -0,0 +1,149 @@
+/*
+ * YI Mirrorless Firmware Tools
+ * Author: Mario Guggenberger <mg@protyposis.net>
+ * Licensed under the GPLv3
+ */
+'use strict';
+
+const yaml = require('js-yaml');
+const {PatchError} = require('./errors');
+
+const FORMAT_JSON = 'json';
+const FORMAT_YAML = 'yaml';
+
+/**
+ * Parses a string of hex bytes, e.g. "01 02 ff" or "0102ff".
+ * @param value
+ * @param name the name of the field, for the error message
+ * @returns {Buffer}
+ */
+function parseHexBytes(value, name) {
+    const hex = typeof value === 'string' ? value.replace(/\s+/g, '') : '';
+
+    if (hex.length === 0 || hex.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(hex)) {
+        throw new PatchError(`invalid ${name} "${value}", expected hex bytes`, 'ERR_INVALID_PATCH');
+    }
+
+    return Buffer.from(hex, 'hex');
+}
+
+/**
+ * Parses a number that is given as number or as string, e.g. "0x1F".
+ */
+const parseNumber = (value, name) => {
+    const number = typeof value === 'string' ? Number(value) : value;
+
+    if (!Number.isInteger(number) || number < 0) {
+        throw new PatchError(`invalid ${name} "${value}"`, 'ERR_INVALID_PATCH');
+    }
+
+    return number;
+};
+
+/**
+ * Returns the format of a patch file by its extension: yaml for .yaml and .yml files, json otherwise.
+ * @param fileName
+ * @returns {string}
+ */
+const getPatchFileFormat = (fileName) => /\.ya?ml$/i.test(fileName) ? FORMAT_YAML : FORMAT_JSON;
+
+/**
+ * Parses and validates a patch file, in JSON or in YAML with the same structure:
+ *
+ * {
+ *   "description": "...",
+ *   "patches": [{
+ *     "description": "...",
+ *     "section": 0 or "ND1",
+ *     "subsection": 2, (optional, the decompressed data of a subsection of section 0)
+ *     "offset": 1234 or "0x4D2", (relative to the search pattern if given)
+ *     "search": "de ad be ef", (optional, must occur exactly once)
+ *     "expected": "01 02",
+ *     "replacement": "03 04"
+ *   }]
+ * }
+ * @param text
+ * @param format json (default) or yaml
+ * @returns {Array} the patches with parsed numbers and buffers
+ */
+function parsePatchFile(text, format) {
+    let patchFile;
+
+    try {
+        patchFile = format === FORMAT_YAML ? yaml.safeLoad(text) : JSON.parse(text);
+    } catch (error) {
+        throw new PatchError(`invalid patch file: ${error.message}`, 'ERR_INVALID_PATCH');
+    }
+
+    if (!patchFile || !Array.isArray(patchFile.patches) || patchFile.patches.length === 0) {
+        throw new PatchError(`invalid patch file, no patches found`, 'ERR_INVALID_PATCH');
+    }
+
+    return patchFile.patches.map((patch, index) => {
+        const name = patch.description || `patch ${index}`;
+
+        if (patch.section === undefined || (typeof patch.section !== 'string' && !Number.isInteger(patch.section))) {
+            throw new PatchError(`${name}: missing section number or id`, 'ERR_INVALID_PATCH');
+        }
+        if (patch.offset === undefined && patch.search === undefined) {
+            throw new PatchError(`${name}: either offset or search is required`, 'ERR_INVALID_PATCH');
+        }
+
+        const parsedPatch = {
+            name: name,
+            section: patch.section,
+            subsection: patch.subsection !== undefined ? parseNumber(patch.subsection, 'subsection') : undefined,
+            offset: patch.offset !== undefined ? parseNumber(patch.offset, 'offset') : 0,
+            search: patch.search !== undefined ? parseHexBytes(patch.search, 'search') : undefined,
+            expected: parseHexBytes(patch.expected, 'expected'),
+            replacement: parseHexBytes(patch.replacement, 'replacement'),
+        };
+
+        if (parsedPatch.expected.length !== parsedPatch.replacement.length) {
+            throw new PatchError(`${name}: expected and replacement must have the same length`, 'ERR_INVALID_PATCH');
+        }
+
+        return parsedPatch;
+    });
+}
+
+/**
+ * Determines the position of a patch in the target data and checks that it contains the expected bytes.
+ * @param data the target data
+ * @param patch a patch from parsePatchFile
+ * @returns {{position: number, applied: boolean}} the position, and if the replacement is already in place
+ */
+function locatePatch(data, patch) {
+    let position = patch.offset;
+
+    if (patch.search) {
+        const searchPosition = data.indexOf(patch.search);
+
+        if (searchPosition === -1) {
+            throw new PatchError(`${patch.name}: search pattern not found`, 'ERR_PATCH_MISMATCH');
+        }
+        if (data.indexOf(patch.search, searchPosition + 1) !== -1) {
+            throw new PatchError(`${patch.name}: search pattern found more than once`, 'ERR_PATCH_MISMATCH');
+        }
+
+        position += searchPosition;
+    }
+
+    const actual = data.slice(position, position + patch.expected.length);
+
+    if (actual.equals(patch.expected)) {
+        return {position: position, applied: false};
+    }
+    if (actual.equals(patch.replacement)) {
+        return {position: position, applied: true};
+    }
+
+    throw new PatchError(`${patch.name}: expected ${patch.expected.toString('hex')} at ${position}`
+        + ` but found ${actual.toString('hex')}`, 'ERR_PATCH_MISMATCH');
+}
+
+exports.FORMAT_JSON = FORMAT_JSON;
+exports.FORMAT_YAML = FORMAT_YAML;
+exports.getPatchFileFormat = getPatchFileFormat;
+exports.parsePatchFile = parsePatchFile;
+exports.locatePatch = locatePatch;
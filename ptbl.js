@@ -0,0 +1,127 @@
+/*
+ * YI Mirrorless Firmware Tools
+ * Author: Mario Guggenberger <mg@protyposis.net>
+ * Licensed under the GPLv3
+ */
+'use strict';
+
+const {PartitionTableError} = require('./errors');
+
+/*
+ * The format of the partition table has not been confirmed yet. This module assumes a table of fixed-size entries
+ * at the start of the section, each consisting of a NUL-padded ASCII name followed by the flash offset, size and
+ * flags as 32-bit little endian integers. Everything that is not decoded as an entry is preserved as is when the
+ * table is written, so a table that has not been changed is always written byte-identical.
+ */
+const PTBL_ID = 'PTBL';
+const PTBL_ENTRY_LENGTH = 32;
+const PTBL_NAME_LENGTH = 16;
+const PTBL_OFFSET_POSITION = 16;
+const PTBL_SIZE_POSITION = 20;
+const PTBL_FLAGS_POSITION = 24;
+
+const isPrintableName = (buffer) => {
+    const nameEnd = buffer.indexOf(0x00) === -1 ? buffer.length : buffer.indexOf(0x00);
+
+    if (nameEnd === 0) {
+        return false;
+    }
+
+    for (let i = 0; i < buffer.length; i++) {
+        // The name must be printable ASCII and padded with zeros only
+        if (i < nameEnd ? buffer[i] < 0x20 || buffer[i] > 0x7E : buffer[i] !== 0x00) {
+            return false;
+        }
+    }
+
+    return true;
+};
+
+/**
+ * Decodes the entries of a partition table. Decoding stops at the first entry without a valid name, so a table that
+ * does not have the assumed format results in no entries.
+ * @param buffer the PTBL section data
+ * @returns {{entries: Array, decodedLength: number}} the entries with name, offset, size and flags, and the number of
+ * bytes that have been decoded
+ */
+function parsePartitionTable(buffer) {
+    const entries = [];
+    let position = 0;
+
+    while (position + PTBL_ENTRY_LENGTH <= buffer.length) {
+        const nameData = buffer.slice(position, position + PTBL_NAME_LENGTH);
+
+        if (!isPrintableName(nameData)) {
+            break;
+        }
+
+        entries.push({
+            index: entries.length,
+            name: nameData.toString('ascii').replace(/\0+$/, ''),
+            offset: buffer.readUInt32LE(position + PTBL_OFFSET_POSITION),
+            size: buffer.readUInt32LE(position + PTBL_SIZE_POSITION),
+            flags: buffer.readUInt32LE(position + PTBL_FLAGS_POSITION),
+        });
+
+        position += PTBL_ENTRY_LENGTH;
+    }
+
+    return {
+        entries: entries,
+        decodedLength: position,
+    };
+}
+
+/**
+ * Encodes partition table entries into a copy of the original table. Entries that are removed from the list are
+ * zeroed, all bytes that are not decoded are kept.
+ * @param buffer the original PTBL section data
+ * @param entries the entries with name, offset, size and flags
+ * @returns {Buffer} the new section data with the length of the original
+ */
+function writePartitionTable(buffer, entries) {
+    const originalTable = parsePartitionTable(buffer);
+    const output = Buffer.from(buffer);
+
+    if (entries.length * PTBL_ENTRY_LENGTH > output.length) {
+        throw new PartitionTableError(`too many partition table entries (${entries.length}),`
+            + ` only ${Math.floor(output.length / PTBL_ENTRY_LENGTH)} fit into the section`);
+    }
+
+    // Remove the entries that are not in the list anymore
+    output.fill(0x00, entries.length * PTBL_ENTRY_LENGTH, originalTable.decodedLength);
+
+    entries.forEach((entry, index) => {
+        const position = index * PTBL_ENTRY_LENGTH;
+
+        // The undecoded bytes of existing entries are kept, new entries start empty
+        const clearLength = index < originalTable.entries.length ? PTBL_NAME_LENGTH : PTBL_ENTRY_LENGTH;
+        output.fill(0x00, position, position + clearLength);
+
+        const nameData = Buffer.from(entry.name || '', 'ascii');
+
+        if (nameData.length === 0 || nameData.length > PTBL_NAME_LENGTH || !isPrintableName(nameData)) {
+            throw new PartitionTableError(`invalid partition name "${entry.name}" of entry ${index}`
+                + ` (1 to ${PTBL_NAME_LENGTH} printable ASCII characters)`);
+        }
+
+        [['offset', PTBL_OFFSET_POSITION], ['size', PTBL_SIZE_POSITION], ['flags', PTBL_FLAGS_POSITION]]
+            .forEach(([field, fieldPosition]) => {
+                const value = entry[field];
+
+                if (!Number.isInteger(value) || value < 0 || value > 0xFFFFFFFF) {
+                    throw new PartitionTableError(`invalid ${field} ${value} of partition ${entry.name}`);
+                }
+
+                output.writeUInt32LE(value, position + fieldPosition);
+            });
+
+        nameData.copy(output, position);
+    });
+
+    return output;
+}
+
+exports.PTBL_ID = PTBL_ID;
+exports.parsePartitionTable = parsePartitionTable;
+exports.writePartitionTable = writePartitionTable;
@@ -0,0 +1,92 @@
+/*
+ * YI Mirrorless Firmware Tools
+ * Author: Mario Guggenberger <mg@protyposis.net>
+ * Licensed under the GPLv3
+ */
+'use strict';
+
+const {FirmwareError} = require('./errors');
+
+const STRINGS_DEFAULT_MIN_LENGTH = 4;
+const CHARSET_ASCII = 'ascii';
+const CHARSET_UTF16LE = 'utf16le';
+const CHARSET_UTF16BE = 'utf16be';
+const CHARSETS = [CHARSET_ASCII, CHARSET_UTF16LE, CHARSET_UTF16BE];
+
+const isPrintable = (byte) => (byte >= 0x20 && byte <= 0x7E) || byte === 0x09;
+
+/**
+ * Finds the runs of printable characters of a fixed width.
+ * @param length the number of characters in the data
+ * @param isPrintableAt tells if the character with the index is printable
+ * @param minLength
+ * @returns {Array} the runs with the start and end (exclusive) index
+ */
+function findPrintableRuns(length, isPrintableAt, minLength) {
+    const runs = [];
+    let start = -1;
+
+    for (let i = 0; i <= length; i++) {
+        if (i < length && isPrintableAt(i)) {
+            if (start === -1) {
+                start = i;
+            }
+        } else if (start !== -1) {
+            if (i - start >= minLength) {
+                runs.push({start: start, end: i});
+            }
+            start = -1;
+        }
+    }
+
+    return runs;
+}
+
+/**
+ * Extracts the UTF-16 strings that consist of printable ASCII characters, at even and odd positions.
+ */
+function extractUtf16Strings(buffer, minLength, bigEndian) {
+    const strings = [];
+
+    [0, 1].forEach(alignment => {
+        const length = Math.floor((buffer.length - alignment) / 2);
+        const codeUnitAt = (i) => bigEndian
+            ? buffer.readUInt16BE(alignment + i * 2)
+            : buffer.readUInt16LE(alignment + i * 2);
+
+        findPrintableRuns(length, i => isPrintable(codeUnitAt(i)), minLength).forEach(run => {
+            const data = Buffer.from(buffer.slice(alignment + run.start * 2, alignment + run.end * 2));
+            strings.push({
+                offset: alignment + run.start * 2,
+                text: (bigEndian ? data.swap16() : data).toString('utf16le'),
+            });
+        });
+    });
+
+    return strings.sort((a, b) => a.offset - b.offset);
+}
+
+/**
+ * Extracts the printable strings from binary data, like the Unix strings utility.
+ * @param buffer
+ * @param options.minLength the minimum length of a string in characters (default: 4)
+ * @param options.charset ascii (default), utf16le or utf16be
+ * @returns {Array} the strings with offset and text
+ */
+function extractStrings(buffer, options) {
+    const minLength = (options && options.minLength) || STRINGS_DEFAULT_MIN_LENGTH;
+    const charset = (options && options.charset) || CHARSET_ASCII;
+
+    if (charset === CHARSET_UTF16LE || charset === CHARSET_UTF16BE) {
+        return extractUtf16Strings(buffer, minLength, charset === CHARSET_UTF16BE);
+    }
+    if (charset !== CHARSET_ASCII) {
+        throw new FirmwareError(`unknown charset ${charset}`, 'ERR_UNKNOWN_CHARSET');
+    }
+
+    return findPrintableRuns(buffer.length, i => isPrintable(buffer[i]), minLength)
+        .map(run => ({offset: run.start, text: buffer.toString('ascii', run.start, run.end)}));
+}
+
+exports.CHARSETS = CHARSETS;
+exports.extractStrings = extractStrings;
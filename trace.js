@@ -0,0 +1,135 @@
+/*
+ * YI Mirrorless Firmware Tools
+ * Author: Mario Guggenberger <mg@protyposis.net>
+ * Licensed under the GPLv3
+ */
+'use strict';
+
+const lzss = require('./lzss');
+
+/*
+ * Formats the token streams of the traceCallback of lzss, and aligns two streams of the same data, e.g. of the
+ * original compressed data and its recompression, to find where the encoders take different decisions.
+ */
+const FORMAT_JSONL = 'jsonl';
+const FORMAT_CSV = 'csv';
+const FORMATS = [FORMAT_JSONL, FORMAT_CSV];
+
+const TOKEN_FIELDS = ['type', 'compressedPosition', 'decompressedPosition', 'flags', 'value', 'index', 'length',
+    'windowPosition'];
+// Once the streams diverge, their compressed positions differ, so that only the other fields are compared
+const MATCH_FIELDS = TOKEN_FIELDS.filter(field => field !== 'compressedPosition');
+const STREAMS = ['original', 'recompressed'];
+
+const toCsvValues = (token) => TOKEN_FIELDS.map(field => token && token[field] !== undefined ? token[field] : '');
+
+/**
+ * Formats a token for messages, e.g. "lookup index 4078 length 18 at 120/300" (compressed/decompressed position).
+ * @param token a token of the traceCallback of lzss, or null
+ * @returns {string}
+ */
+function describeToken(token) {
+    if (!token) {
+        return 'none';
+    }
+
+    const position = `at ${token.compressedPosition}/${token.decompressedPosition}`;
+
+    if (token.type === lzss.TOKEN_FLAGS) {
+        return `flags 0x${token.flags.toString(16).toUpperCase()} ${position}`;
+    }
+    if (token.type === lzss.TOKEN_LITERAL) {
+        return `literal 0x${token.value.toString(16).toUpperCase()} ${position}`;
+    }
+    return `lookup index ${token.index} length ${token.length} ${position}`;
+}
+
+/**
+ * Formats a token stream, one token per line.
+ * @param tokens the tokens of the traceCallback of lzss
+ * @param format jsonl or csv
+ * @returns {string}
+ */
+function formatTokens(tokens, format) {
+    if (format === FORMAT_CSV) {
+        return [TOKEN_FIELDS.join(',')]
+            .concat(tokens.map(token => toCsvValues(token).join(',')))
+            .join('\n') + '\n';
+    }
+
+    return tokens.map(token => JSON.stringify(token) + '\n').join('');
+}
+
+/**
+ * Aligns two token streams of the same decompressed data by the decompressed position of the tokens. A flag byte
+ * is aligned before the literal or lookup at the same position. Tokens that the other stream has no counterpart
+ * for, e.g. a literal inside a lookup of the other stream, get a row of their own.
+ * @param originalTokens
+ * @param recompressedTokens
+ * @returns {Array} the rows with the original and recompressed token (null if missing) and whether they match,
+ * apart from their compressed position
+ */
+function alignTokens(originalTokens, recompressedTokens) {
+    const key = (token) => token.decompressedPosition * 2 + (token.type === lzss.TOKEN_FLAGS ? 0 : 1);
+    const rows = [];
+    let originalIndex = 0;
+    let recompressedIndex = 0;
+
+    while (originalIndex < originalTokens.length || recompressedIndex < recompressedTokens.length) {
+        const original = originalTokens[originalIndex];
+        const recompressed = recompressedTokens[recompressedIndex];
+        const order = !original ? 1 : !recompressed ? -1 : key(original) - key(recompressed);
+
+        const row = {
+            original: order <= 0 ? original : null,
+            recompressed: order >= 0 ? recompressed : null,
+        };
+        row.match = !!row.original && !!row.recompressed
+            && MATCH_FIELDS.every(field => row.original[field] === row.recompressed[field]);
+        rows.push(row);
+
+        if (order <= 0) {
+            originalIndex++;
+        }
+        if (order >= 0) {
+            recompressedIndex++;
+        }
+    }
+
+    return rows;
+}
+
+/**
+ * Formats aligned rows side by side, one row per line.
+ * @param rows the rows from alignTokens
+ * @param firstRowNumber the number of the first row, to locate the rows in the complete alignment
+ * @param format jsonl or csv
+ * @returns {string}
+ */
+function formatAlignedTokens(rows, firstRowNumber, format) {
+    if (format === FORMAT_CSV) {
+        const header = ['row', 'match']
+            .concat(...STREAMS.map(stream => TOKEN_FIELDS.map(field => `${stream}.${field}`)));
+
+        return [header.join(',')]
+            .concat(rows.map((row, index) => [firstRowNumber + index, row.match]
+                .concat(toCsvValues(row.original), toCsvValues(row.recompressed))
+                .join(',')))
+            .join('\n') + '\n';
+    }
+
+    return rows.map((row, index) => JSON.stringify({
+        row: firstRowNumber + index,
+        match: row.match,
+        original: row.original,
+        recompressed: row.recompressed,
+    }) + '\n').join('');
+}
+
+exports.FORMAT_JSONL = FORMAT_JSONL;
+exports.FORMAT_CSV = FORMAT_CSV;
+exports.FORMATS = FORMATS;
+exports.describeToken = describeToken;
+exports.formatTokens = formatTokens;
+exports.alignTokens = alignTokens;
+exports.formatAlignedTokens = formatAlignedTokens;
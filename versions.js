@@ -3,14 +3,126 @@
  * Author: Mario Guggenberger <mg@protyposis.net>
  * Licensed under the GPLv3
  */
-exports.versions = [
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {DatabaseError} = require('./errors');
+const database = require('./firmware-database.json');
+
+const DATABASE_VERSION = 1;
+
+/**
+ * Checks the version and structure of a firmware database.
+ * @param data the parsed database
+ * @param name the name of the database in error messages
+ */
+function validateDatabase(data, name) {
+    if (!data || typeof data !== 'object' || data.version !== DATABASE_VERSION) {
+        throw new DatabaseError(`unsupported firmware database version ${data && data.version} in ${name}`);
+    }
+    if (!Array.isArray(data.models) || !Array.isArray(data.images)) {
+        throw new DatabaseError(`${name} has no models and images`);
+    }
+}
+
+validateDatabase(database, 'firmware-database.json');
+
+/**
+ * Reads and validates a firmware database file.
+ * @param fileName
+ * @returns {Object}
+ */
+function readDatabase(fileName) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(fileName, 'utf8'));
+    } catch (error) {
+        throw new DatabaseError(`cannot read the firmware database ${fileName}: ${error.message}`);
+    }
+    validateDatabase(data, path.basename(fileName));
+    return data;
+}
+
+const toVersion = (image) => [
     // model, version, firmware version, firmware name
-    ['C59Y1', 'M1INT', 'Ver1.12', '1.0.20-int'],
-    ['C59Y1', 'M1INT', 'Ver1.29', '2.0-int'],
-    ['C59Y1', 'M1INT', 'Ver1.35tg', '2.5.5-int (3.0 public beta)'],
-    ['C59Y1', 'M1INT', 'Ver1.35ts', '2.8.17-int (3.0 private beta)'],
-    ['C59Y1', 'M1INT', 'Ver1.37', '2.9.1-int (3.0 private beta)'],
-    ['C59Y1', 'M1INT', 'Ver1.38', '2.9.5-int (3.0 private beta)'],
-    ['C59Y1', 'M1INT', 'Ver1.39', '3.0-int'],
-    ['C59Y1', 'M1INT', 'Ver1.41', '3.1-int'],
+    image.deviceId, image.deviceVersion, image.dvr, image.name,
 ];
+
+const isSameVersion = (image, otherImage) => image.deviceId === otherImage.deviceId
+    && image.deviceVersion === otherImage.deviceVersion && image.dvr === otherImage.dvr;
+
+/**
+ * The known camera models with deviceId and name.
+ */
+exports.models = database.models;
+
+/**
+ * The known firmware images with deviceId, deviceVersion, dvr, region, name, the SHA-256 hash of the whole file and
+ * the SHA-256 hashes of the section bodies (sections with number, id and sha256), and optionally the load addresses
+ * of the parts of the firmware by name (loadAddresses).
+ */
+exports.images = database.images;
+
+exports.versions = database.images.map(toVersion);
+
+/**
+ * Adds an image to a list of images, or replaces the image of the same deviceId, deviceVersion and dvr.
+ * @param images
+ * @param image
+ * @returns {number} the index of the image
+ */
+function putImage(images, image) {
+    const index = images.findIndex(knownImage => isSameVersion(knownImage, image));
+
+    if (index === -1) {
+        images.push(image);
+        return images.length - 1;
+    }
+
+    images[index] = image;
+    return index;
+}
+
+/**
+ * Adds an image to the loaded database, which already lists the images of the bundled database and of the database
+ * files read by loadDatabase.
+ * @param image
+ */
+function addImage(image) {
+    exports.versions[putImage(database.images, image)] = toVersion(image);
+}
+
+/**
+ * Reads a firmware database file of the user, e.g. one written by saveImage, and adds its models and images to the
+ * bundled database. Its entries replace bundled entries of the same model or version.
+ * @param fileName
+ */
+function loadDatabase(fileName) {
+    const data = readDatabase(fileName);
+
+    data.models.forEach(model => {
+        const index = database.models.findIndex(knownModel => knownModel.deviceId === model.deviceId);
+        database.models[index === -1 ? database.models.length : index] = model;
+    });
+    data.images.forEach(addImage);
+}
+
+/**
+ * Adds an image to a firmware database file of the user, or replaces the image of the same deviceId, deviceVersion
+ * and dvr, and adds it to the loaded database. The file is created if it does not exist. The bundled database is
+ * never written, as it is part of the package.
+ * @param image
+ * @param fileName
+ */
+function saveImage(image, fileName) {
+    const data = fs.existsSync(fileName) ? readDatabase(fileName)
+        : {version: DATABASE_VERSION, models: [], images: []};
+
+    putImage(data.images, image);
+    fs.writeFileSync(fileName, JSON.stringify(data, null, 2) + '\n');
+    addImage(image);
+}
+
+exports.loadDatabase = loadDatabase;
+exports.saveImage = saveImage;
@@ -0,0 +1,76 @@
+/*
+ * YI Mirrorless Firmware Tools
+ * Author: Mario Guggenberger <mg@protyposis.net>
+ * Licensed under the GPLv3
+ */
+'use strict';
+
+const {extractStrings} = require('./strings');
+
+/*
+ * The HTTP server of the camera accepts commands like GET /?data={"command":"GetCameraStatus"}. The command names are
+ * stored in a table of NUL-terminated CamelCase names in the decompressed code of section 0. Its location is not
+ * known, so tables are found heuristically: at least COMMAND_TABLE_MIN_LENGTH names that are separated only by
+ * NUL padding.
+ */
+const COMMAND_TABLE_MIN_LENGTH = 8;
+const COMMAND_TABLE_MAX_GAP = 16;
+// A command the camera is known to accept, which identifies the command table among other tables of names
+const KNOWN_COMMAND = 'GetCameraStatus';
+
+const isCommandName = (text) => /^[A-Z][a-z0-9]+(?:[A-Z][A-Za-z0-9]*)+$/.test(text);
+
+const isPadding = (buffer, start, end) => end - start <= COMMAND_TABLE_MAX_GAP
+    && buffer.slice(start, end).every(byte => byte === 0x00);
+
+/**
+ * Finds the tables of command names in decompressed code.
+ * @param buffer
+ * @returns {Array} the tables with offset and names (with offset and text)
+ */
+function findCommandTables(buffer) {
+    const tables = [];
+    let names = [];
+
+    const endTable = () => {
+        if (names.length >= COMMAND_TABLE_MIN_LENGTH) {
+            tables.push({offset: names[0].offset, names: names});
+        }
+        names = [];
+    };
+
+    extractStrings(buffer).forEach(string => {
+        const previous = names[names.length - 1];
+
+        if (!isCommandName(string.text)) {
+            endTable();
+            return;
+        }
+        if (previous && !isPadding(buffer, previous.offset + previous.text.length, string.offset)) {
+            endTable();
+        }
+        names.push(string);
+    });
+    endTable();
+
+    return tables;
+}
+
+/**
+ * Selects the command table: the table with the known command, or the largest table.
+ * @param tables the tables from findCommandTables, with any additional properties
+ * @returns {Object|null} the table, or null if there is none
+ */
+function selectCommandTable(tables) {
+    const knownTable = tables.find(table => table.names.some(name => name.text === KNOWN_COMMAND));
+
+    if (knownTable) {
+        return knownTable;
+    }
+
+    return tables.reduce((largest, table) => !largest || table.names.length > largest.names.length
+        ? table : largest, null);
+}
+
+exports.findCommandTables = findCommandTables;
+exports.selectCommandTable = selectCommandTable;
@@ -0,0 +1,251 @@
+/*
+ * YI Mirrorless Firmware Tools
+ * Author: Mario Guggenberger <mg@protyposis.net>
+ * Licensed under the GPLv3
+ */
+'use strict';
+
+const os = require('os');
+const lzss = require('./lzss');
+const {CompressionError} = require('./errors');
+const {getLogger} = require('./logger');
+
+/*
+ * Runs LZSS jobs on a pool of worker threads, so that the subsections of section 0 are compressed and decompressed in
+ * parallel. This module is also the script of the workers. Without worker_threads (Node.js < 12), or with a
+ * concurrency of 1, the jobs run one after another on the main thread.
+ */
+let workerThreads;
+try {
+    workerThreads = require('worker_threads');
+} catch (error) {
+    workerThreads = null;
+}
+
+const OPERATION_COMPRESS = 'compress';
+const OPERATION_DECOMPRESS = 'decompress';
+// Tokens are passed between threads as an Int32Array with TOKEN_VALUE_COUNT values per token: the type, the
+// compressed and decompressed position, the flag byte or literal value, and the index, length and window position
+const TOKEN_TYPES = [lzss.TOKEN_FLAGS, lzss.TOKEN_LITERAL, lzss.TOKEN_LOOKUP];
+const TOKEN_VALUE_COUNT = 7;
+
+/**
+ * Returns the default number of worker threads, one per CPU core.
+ * @returns {number}
+ */
+function getDefaultConcurrency() {
+    return Math.max(1, os.cpus().length);
+}
+
+/**
+ * Packs the tokens of the traceCallback of lzss into an Int32Array.
+ */
+function packTokens(tokens) {
+    const values = new Int32Array(tokens.length * TOKEN_VALUE_COUNT);
+
+    tokens.forEach((token, tokenIndex) => {
+        const offset = tokenIndex * TOKEN_VALUE_COUNT;
+        values[offset] = TOKEN_TYPES.indexOf(token.type);
+        values[offset + 1] = token.compressedPosition;
+        values[offset + 2] = token.decompressedPosition;
+        if (token.type === lzss.TOKEN_LOOKUP) {
+            values[offset + 4] = token.index;
+            values[offset + 5] = token.length;
+            values[offset + 6] = token.windowPosition;
+        } else {
+            values[offset + 3] = token.type === lzss.TOKEN_FLAGS ? token.flags : token.value;
+        }
+    });
+
+    return values;
+}
+
+/**
+ * Unpacks tokens from packTokens into the token objects of lzss.
+ */
+function unpackTokens(values) {
+    const tokens = [];
+
+    for (let offset = 0; offset < values.length; offset += TOKEN_VALUE_COUNT) {
+        const token = {
+            type: TOKEN_TYPES[values[offset]],
+            compressedPosition: values[offset + 1],
+            decompressedPosition: values[offset + 2],
+        };
+
+        if (token.type === lzss.TOKEN_FLAGS) {
+            token.flags = values[offset + 3];
+        } else if (token.type === lzss.TOKEN_LITERAL) {
+            token.value = values[offset + 3];
+        } else {
+            token.index = values[offset + 4];
+            token.length = values[offset + 5];
+            token.windowPosition = values[offset + 6];
+        }
+        tokens.push(token);
+    }
+
+    return tokens;
+}
+
+/**
+ * Runs a job, on the main thread or in a worker.
+ * @param job the job with operation, data and the options of lzss.compress or lzss.decompress
+ * @param logger receives the progress, only on the main thread where jobs run one after another
+ * @returns {{data: Buffer, tokens: Int32Array|undefined, time: number}} the result, with the packed tokens of the
+ * traceCallback of lzss if job.trace is set
+ */
+function runJob(job, logger) {
+    const tokens = [];
+    const options = Object.assign({}, job.options, {
+        logger: logger,
+        traceCallback: job.trace ? token => tokens.push(token) : undefined,
+    });
+    const startTime = Date.now();
+    const data = job.operation === OPERATION_COMPRESS
+        ? lzss.compress(job.data, options)
+        : lzss.decompress(job.data, options);
+
+    return {
+        data: data,
+        tokens: job.trace ? packTokens(tokens) : undefined,
+        time: Date.now() - startTime,
+    };
+}
+
+/**
+ * Copies data into its own memory, which can be transferred to another thread. Posting a Buffer would clone the
+ * complete memory it is a slice of.
+ * @param buffer
+ * @returns {Uint8Array}
+ */
+const copyData = (buffer) => new Uint8Array(buffer);
+
+/**
+ * Wraps the error of a job so that it identifies the job.
+ */
+const createJobError = (job, error) => new CompressionError(`${job.name}: ${error.message}`,
+    error.code || 'ERR_COMPRESSION');
+
+/**
+ * Runs LZSS jobs in parallel. The results are in the order of the jobs, independent of the order in which they finish.
+ * @param jobs the jobs with name (to identify the job in errors and messages), operation (compress or decompress),
+ * data, options (encoding, mode, expectedSize) and trace (collect the tokens)
+ * @param options.concurrency the maximum number of worker threads (default: the number of CPU cores)
+ * @param options.logger
+ * @returns {Promise<Array>} the results, see runJob, with the tokens unpacked into an array if job.trace is set
+ */
+function runJobs(jobs, options) {
+    const logger = getLogger(options);
+    const concurrency = Math.min((options && options.concurrency) || getDefaultConcurrency(), jobs.length);
+
+    if (concurrency <= 1 || !workerThreads) {
+        return jobs.reduce((promise, job) => promise.then(results => {
+            logger.log(`${job.name}: ${job.operation === OPERATION_COMPRESS ? 'compressing' : 'decompressing'}...`);
+            let result;
+            try {
+                result = runJob(job, options && options.logger);
+                result.tokens = result.tokens && unpackTokens(result.tokens);
+            } catch (error) {
+                throw createJobError(job, error);
+            }
+            logger.log(`${job.name}: finished in ${result.time} ms`);
+            return results.concat([result]);
+        }), Promise.resolve([]));
+    }
+
+    return new Promise((resolve, reject) => {
+        const results = new Array(jobs.length);
+        const workers = [];
+        let nextJobIndex = 0;
+        let finishedJobCount = 0;
+        let failed = false;
+
+        const fail = (error) => {
+            if (!failed) {
+                failed = true;
+                workers.forEach(worker => worker.terminate());
+                reject(error);
+            }
+        };
+
+        const startNextJob = (worker) => {
+            if (nextJobIndex >= jobs.length) {
+                worker.idle = true;
+                worker.terminate();
+                return;
+            }
+
+            const jobIndex = nextJobIndex++;
+            const job = jobs[jobIndex];
+            worker.currentJobIndex = jobIndex;
+            logger.log(`${job.name}: ${job.operation === OPERATION_COMPRESS ? 'compressing' : 'decompressing'}...`);
+            // The data is usually a slice of the whole firmware file, whose complete memory would be cloned
+            const data = copyData(job.data);
+            worker.postMessage({
+                operation: job.operation,
+                data: data,
+                options: job.options,
+                trace: job.trace,
+            }, [data.buffer]);
+        };
+
+        logger.log(`Running ${jobs.length} jobs on ${concurrency} worker threads`);
+
+        for (let i = 0; i < concurrency; i++) {
+            const worker = new workerThreads.Worker(__filename);
+            workers.push(worker);
+
+            worker.on('message', message => {
+                const job = jobs[worker.currentJobIndex];
+
+                if (message.error) {
+                    fail(createJobError(job, message.error));
+                    return;
+                }
+
+                results[worker.currentJobIndex] = {
+                    data: Buffer.from(message.data.buffer, message.data.byteOffset, message.data.length),
+                    tokens: message.tokens && unpackTokens(message.tokens),
+                    time: message.time,
+                };
+                logger.log(`${job.name}: finished in ${message.time} ms`);
+
+                if (++finishedJobCount === jobs.length) {
+                    resolve(results);
+                }
+                startNextJob(worker);
+            });
+            worker.on('error', error => fail(createJobError(jobs[worker.currentJobIndex], error)));
+            worker.on('exit', exitCode => {
+                if (!worker.idle && !failed) {
+                    fail(createJobError(jobs[worker.currentJobIndex],
+                        new Error(`worker thread exited with code ${exitCode}`)));
+                }
+            });
+
+            startNextJob(worker);
+        }
+    });
+}
+
+if (workerThreads && !workerThreads.isMainThread) {
+    workerThreads.parentPort.on('message', job => {
+        try {
+            const result = runJob(Object.assign({}, job, {
+                data: Buffer.from(job.data.buffer, job.data.byteOffset, job.data.length),
+            }));
+            // The encoders return slices of larger output buffers
+            const data = copyData(result.data);
+            workerThreads.parentPort.postMessage(Object.assign({}, result, {data: data}),
+                result.tokens ? [data.buffer, result.tokens.buffer] : [data.buffer]);
+        } catch (error) {
+            workerThreads.parentPort.postMessage({error: {message: error.message, code: error.code}});
+        }
+    });
+}
+
+exports.OPERATION_COMPRESS = OPERATION_COMPRESS;
+exports.OPERATION_DECOMPRESS = OPERATION_DECOMPRESS;
+exports.getDefaultConcurrency = getDefaultConcurrency;
+exports.runJobs = runJobs;